@@ -8,11 +8,86 @@
  * - Rebuild impact analysis
  * - Timeline visualization
  *
- * Usage: node clang-trace-to-dashboard.js <directory> <output.json>
+ * Usage: node clang-trace-to-dashboard.js [options] <directory> <output.json>
+ *        node clang-trace-to-dashboard.js [options] --compile-commands <compile_commands.json> <output.json>
+ *        node clang-trace-to-dashboard.js diff <old.json> <new.json> <output.json>
+ *        node clang-trace-to-dashboard.js affected [options] <dashboard.json> [files...]
+ *        node clang-trace-to-dashboard.js check [options] <dashboard.json> <budgets.json>
+ *        node clang-trace-to-dashboard.js history [options] <directory> <output.json>
+ *        node clang-trace-to-dashboard.js graph [options] <dashboard.json> <header-or-cu>
+ *        node clang-trace-to-dashboard.js why [options] <dashboard.json> <header>
+ *        node clang-trace-to-dashboard.js what-if [options] <dashboard.json> <includer>:<included>...
+ *        node clang-trace-to-dashboard.js pch [options] <dashboard.json>
+ *        node clang-trace-to-dashboard.js query [options] <dashboard.json> <headers|includers|tree|cus> [target]
  */
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+// Bump when the cached per-trace results change format
+const TRACE_CACHE_VERSION = 1;
+
+// Version of the dashboard format written to `metadata.version` (see JSON_FORMAT.md).
+// The dashboard refuses files with a major version it doesn't support (1 and 2).
+const DASHBOARD_FORMAT_VERSION = '1.2';
+
+// Files with times finer than milliseconds (--precision) are major version 2, as readers that
+// predate `metadata.timeUnit` would take their times for milliseconds
+const SUB_MS_FORMAT_VERSION = '2.1';
+
+// Major versions of the dashboard format that can be read, as SUPPORTED_FORMAT_VERSIONS in index.html
+const SUPPORTED_FORMAT_VERSIONS = [1, 2];
+
+// Units times can be stored in (`metadata.timeUnit`), as units per millisecond
+const TIME_UNITS = {
+  ms: 1,
+  '100us': 10,
+  '10us': 100,
+  us: 1000
+};
+
+// Minimum growth of a header's max include tree size, in headers, to be flagged by `history`
+const MIN_TREE_SIZE_JUMP = 10;
+
+// Compact encoding (--compact): magic bytes at the start of the gunzipped file
+const COMPACT_MAGIC = 'CTDC';
+const COMPACT_ENCODING_VERSION = 1;
+
+// Per-CU integer arrays stored varint-packed in the compact encoding
+const COMPACT_FIELDS = [
+  ['includes', 'fileIds'],
+  ['includes', 'startTimes'],
+  ['includes', 'durations'],
+  ['includes', 'parentFileIds'],
+  ['events', 'nameIds'],
+  ['events', 'detailIds'],
+  ['events', 'startTimes'],
+  ['events', 'durations']
+];
+
+// Clang trace events (other than Source) kept in the dashboard format.
+// The index of each name in this list is stored in `events.nameIds`.
+const COMPILER_EVENT_NAMES = [
+  'InstantiateClass',
+  'InstantiateFunction',
+  'ParseClass',
+  'ParseTemplate',
+  'Frontend',
+  'Backend',
+  'CodeGen Function'
+];
+
+// Categories files can be classified into with the `categories` rules of --config.
+// The index of each category in this list is stored in `tables.fileCategories`.
+const FILE_CATEGORIES = [
+  'ours',
+  'sdk',
+  'third-party',
+  'generated'
+];
 
 /**
  * Recursively find all .json files that have a matching .o file
@@ -22,215 +97,3690 @@ const path = require('path');
 function findMatchingJsonFiles(dir) {
   const results = [];
 
-  function walk(currentDir) {
-    let entries;
+  function walk(currentDir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && entry.name.endsWith('.json')) {
+        const baseName = entry.name.slice(0, -5);
+        const oFile = path.join(currentDir, baseName + '.o');
+
+        if (fs.existsSync(oFile)) {
+          results.push(fullPath);
+        }
+      }
+    }
+  }
+
+  walk(dir);
+  return results;
+}
+
+/**
+ * Check whether a compilation unit is a unified source (Unified_cpp_*, Unified_c_*, ...),
+ * which #includes several source files
+ * @param {Object} cu - Compilation unit data ({name, sourceFile})
+ * @returns {boolean} True for unified compilation units
+ */
+function isUnifiedCU(cu) {
+  return path.basename(cu.sourceFile || cu.name).startsWith('Unified_');
+}
+
+/**
+ * Check whether an included file is a source file rather than a header
+ * @param {string} file - Included file path
+ * @returns {boolean} True for .c, .cpp, .mm, ... files
+ */
+function isSourceFile(file) {
+  return /\.(c|cc|cpp|cxx|m|mm)$/.test(file);
+}
+
+/**
+ * Find the headers a compilation unit enters more than once. Clang skips the later
+ * includes of a header with a working include guard or #pragma once without a Source
+ * event, so a re-entry is either intentional (X-macro headers) or a missing or broken guard.
+ * @param {Array} includes - Includes of the CU ({file, parentFile, startTime, duration}), sorted by start time
+ * @returns {Array} {file, parents, repeatTime} for each header entered more than once, most
+ *   expensive first. parents has the includer of each re-entry (null for the CU itself), and
+ *   repeatTime is the time spent in the re-entries, except those nested in an earlier entry
+ *   of the same header, whose time that entry already counts.
+ */
+function findRepeatedIncludes(includes) {
+  const entries = new Map(); // file -> {parents, repeatTime, openUntil}
+
+  for (const inc of includes) {
+    const entry = entries.get(inc.file);
+    if (!entry) {
+      entries.set(inc.file, { parents: [], repeatTime: 0, openUntil: inc.startTime + inc.duration });
+      continue;
+    }
+
+    entry.parents.push(inc.parentFile);
+    if (inc.startTime >= entry.openUntil) {
+      entry.repeatTime += inc.duration;
+    }
+    entry.openUntil = Math.max(entry.openUntil, inc.startTime + inc.duration);
+  }
+
+  return Array.from(entries.entries())
+    .filter(([, entry]) => entry.parents.length > 0)
+    .map(([file, { parents, repeatTime }]) => ({ file, parents, repeatTime }))
+    .sort((a, b) => b.repeatTime - a.repeatTime || b.parents.length - a.parents.length);
+}
+
+/**
+ * Read the path normalization and file classification settings.
+ * The config file is JSON:
+ *   {
+ *     "pathPrefixes": { "/home/user/gecko/obj-ff": "<obj>", "/home/user/gecko": "<src>" },
+ *     "categories": [ { "pattern": "<sysroot>/**", "category": "sdk" }, ... ],
+ *     "defaultCategory": "ours"
+ *   }
+ * @param {string|undefined} configFile - Path to the config file, if any
+ * @param {Object} options - Command line options; --srcdir, --objdir and --sysroot add prefixes
+ * @returns {Object} {pathPrefixes: Array<[prefix, placeholder]>, categoryRules: Array<{regexp, categoryId}>|null, defaultCategoryId}
+ */
+function readConversionConfig(configFile, options) {
+  const config = configFile ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+  const prefixes = Object.assign({}, config.pathPrefixes);
+
+  // Command line flags override the config file
+  const flagPlaceholders = { srcdir: '<src>', objdir: '<obj>', sysroot: '<sysroot>' };
+  for (const [flag, placeholder] of Object.entries(flagPlaceholders)) {
+    if (options[flag]) {
+      for (const [prefix, existing] of Object.entries(prefixes)) {
+        if (existing === placeholder) delete prefixes[prefix];
+      }
+      prefixes[path.resolve(options[flag])] = placeholder;
+    }
+  }
+
+  // Longest prefix first, so that an objdir inside the srcdir is matched as the objdir
+  const pathPrefixes = Object.entries(prefixes)
+    .map(([prefix, placeholder]) => [prefix.replace(/\/+$/, '') + '/', placeholder.replace(/\/+$/, '') + '/'])
+    .sort((a, b) => b[0].length - a[0].length);
+
+  const getCategoryId = (category, where) => {
+    const categoryId = FILE_CATEGORIES.indexOf(category);
+    if (categoryId === -1) {
+      throw new Error(`Unknown category '${category}' in ${where} (expected one of: ${FILE_CATEGORIES.join(', ')})`);
+    }
+    return categoryId;
+  };
+
+  let categoryRules = null;
+  if (config.categories !== undefined) {
+    if (!Array.isArray(config.categories)) {
+      throw new Error('\'categories\' must be an array of rules');
+    }
+    categoryRules = config.categories.map((rule, idx) => {
+      if (typeof rule.pattern !== 'string') {
+        throw new Error(`Category rule ${idx + 1} is missing 'pattern'`);
+      }
+      return {
+        regexp: globToRegExp(rule.pattern),
+        categoryId: getCategoryId(rule.category, `category rule ${idx + 1}`)
+      };
+    });
+  }
+
+  return {
+    pathPrefixes: pathPrefixes,
+    categoryRules: categoryRules,
+    defaultCategoryId: getCategoryId(config.defaultCategory || 'ours', 'defaultCategory')
+  };
+}
+
+/**
+ * Replace a machine-specific path prefix with its placeholder
+ * @param {string} file - File path as found in the trace
+ * @param {Array<Array<string>>} pathPrefixes - [prefix, placeholder] pairs, longest prefix first
+ * @returns {string} Normalized path, e.g. "<src>/dom/base/nsINode.h"
+ */
+function normalizePath(file, pathPrefixes) {
+  for (const [prefix, placeholder] of pathPrefixes) {
+    if (file.startsWith(prefix)) {
+      return placeholder + file.slice(prefix.length);
+    }
+  }
+  return file;
+}
+
+/**
+ * Classify a file with the first matching category rule
+ * @param {string} file - Normalized file path
+ * @param {Object} config - Conversion config from readConversionConfig()
+ * @returns {number} Index into FILE_CATEGORIES
+ */
+function classifyFile(file, config) {
+  const rule = config.categoryRules.find(r => r.regexp.test(file));
+  return rule ? rule.categoryId : config.defaultCategoryId;
+}
+
+/**
+ * Split a shell command line into arguments, handling quotes and backslash escapes
+ * @param {string} command - Command line from compile_commands.json
+ * @returns {Array<string>} Arguments
+ */
+function splitCommand(command) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quote = null;
+
+  for (let idx = 0; idx < command.length; idx++) {
+    const c = command[idx];
+
+    if (quote) {
+      if (c === quote) {
+        quote = null;
+      } else if (c === '\\' && quote === '"' && idx + 1 < command.length) {
+        current += command[++idx];
+      } else {
+        current += c;
+      }
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      inArg = true;
+    } else if (c === '\\' && idx + 1 < command.length) {
+      current += command[++idx];
+      inArg = true;
+    } else if (/\s/.test(c)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += c;
+      inArg = true;
+    }
+  }
+
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
+}
+
+/**
+ * Find the trace file of each entry of a compile_commands.json file.
+ * The trace is where clang writes it: the -ftime-trace=<path> file, the
+ * <dir>/<object name>.json file for -ftime-trace=<dir>, or the object file
+ * with its extension replaced by .json.
+ * @param {string} compileCommandsFile - Path to compile_commands.json
+ * @returns {Array} Array of {traceFile, sourceFile, outputFile} objects, for existing trace files
+ */
+function findTracesFromCompileCommands(compileCommandsFile) {
+  const entries = JSON.parse(fs.readFileSync(compileCommandsFile, 'utf8'));
+  const results = [];
+  const seenTraces = new Set();
+  let missingCount = 0;
+
+  for (const entry of entries) {
+    const directory = entry.directory || path.dirname(path.resolve(compileCommandsFile));
+    const args = entry.arguments || splitCommand(entry.command || '');
+
+    let output = entry.output || null;
+    let timeTrace = null;
+
+    for (let idx = 0; idx < args.length; idx++) {
+      const arg = args[idx];
+      const timeTraceMatch = /(?:^|:)-ftime-trace(?:=(.*))?$/.exec(arg);
+
+      if (timeTraceMatch) {
+        timeTrace = timeTraceMatch[1] || '';
+      } else if (!entry.output && arg === '-o' && idx + 1 < args.length) {
+        output = args[++idx];
+      } else if (!entry.output && /^(-o|--output=|[-/]Fo)./.test(arg)) {
+        output = arg.replace(/^(-o|--output=|[-/]Fo)/, '');
+      }
+    }
+
+    if (!output) {
+      missingCount++;
+      continue;
+    }
+
+    const outputFile = path.resolve(directory, output);
+    const traceName = path.basename(outputFile, path.extname(outputFile)) + '.json';
+    let traceFile = path.join(path.dirname(outputFile), traceName);
+
+    if (timeTrace) {
+      const tracePath = path.resolve(directory, timeTrace);
+      const isDirectory = timeTrace.endsWith('/') ||
+        (fs.existsSync(tracePath) && fs.statSync(tracePath).isDirectory());
+      traceFile = isDirectory ? path.join(tracePath, traceName) : tracePath;
+    }
+
+    if (!fs.existsSync(traceFile)) {
+      missingCount++;
+      continue;
+    }
+
+    if (seenTraces.has(traceFile)) continue;
+    seenTraces.add(traceFile);
+
+    results.push({
+      traceFile: traceFile,
+      sourceFile: path.resolve(directory, entry.file),
+      outputFile: outputFile
+    });
+  }
+
+  if (missingCount > 0) {
+    console.error(`  ${missingCount} entries have no trace file`);
+  }
+
+  return results;
+}
+
+/**
+ * Extract ExecuteCompiler duration from trace events
+ * @param {Object} traceData - The parsed Clang trace JSON
+ * @returns {number} Duration in microseconds, or 0 if not found
+ */
+function extractExecuteCompilerDuration(traceData) {
+  const events = traceData.traceEvents || [];
+
+  const executeCompilerBegin = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'B');
+  const executeCompilerEnd = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'E');
+
+  if (executeCompilerBegin && executeCompilerEnd) {
+    return executeCompilerEnd.ts - executeCompilerBegin.ts;
+  }
+
+  // Fallback: use 'X' (complete) event format
+  const executeCompilerComplete = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'X');
+  if (executeCompilerComplete && executeCompilerComplete.dur) {
+    return executeCompilerComplete.dur;
+  }
+
+  return 0;
+}
+
+/**
+ * Parse Clang trace events and extract Source markers with timestamps and durations.
+ * @param {Object} traceData - The parsed Clang trace JSON
+ * @returns {Array} Array of {file, startTime, endTime, duration} objects
+ */
+function extractSourceMarkers(traceData) {
+  const events = traceData.traceEvents || [];
+
+  const sourceEvents = events.filter(e => e.cat === 'Source' && e.name === 'Source');
+  const beginEvents = sourceEvents.filter(e => e.ph === 'b' && e.args && e.args.detail);
+  const endEvents = sourceEvents.filter(e => e.ph === 'e');
+
+  const intervals = [];
+  const endMap = new Map();
+
+  // Index end events by their key
+  for (const endEvent of endEvents) {
+    const key = `${endEvent.pid}-${endEvent.tid}-${endEvent.id}`;
+    if (!endMap.has(key)) {
+      endMap.set(key, []);
+    }
+    endMap.get(key).push(endEvent);
+  }
+
+  // Match each begin with its corresponding end
+  for (const beginEvent of beginEvents) {
+    const key = `${beginEvent.pid}-${beginEvent.tid}-${beginEvent.id}`;
+    const endCandidates = endMap.get(key) || [];
+
+    const matchingEnd = endCandidates.find(e => e.ts > beginEvent.ts);
+
+    if (matchingEnd) {
+      intervals.push({
+        file: beginEvent.args.detail,
+        startTime: beginEvent.ts,
+        endTime: matchingEnd.ts,
+        duration: matchingEnd.ts - beginEvent.ts
+      });
+
+      const idx = endCandidates.indexOf(matchingEnd);
+      if (idx !== -1) {
+        endCandidates.splice(idx, 1);
+      }
+    }
+  }
+
+  return intervals;
+}
+
+/**
+ * Extract template instantiation, parsing and compiler phase events.
+ * Clang emits these as complete ('X') events with an optional args.detail
+ * (the template, class or function name).
+ * @param {Object} traceData - The parsed Clang trace JSON
+ * @returns {Array} Array of {name, detail, startTime, duration} objects, sorted by start time
+ */
+function extractCompilerEvents(traceData) {
+  const events = traceData.traceEvents || [];
+
+  const compilerEvents = events
+    .filter(e => e.ph === 'X' && COMPILER_EVENT_NAMES.includes(e.name))
+    .map(e => ({
+      name: e.name,
+      detail: e.args && e.args.detail ? e.args.detail : null,
+      startTime: e.ts,
+      duration: e.dur || 0
+    }));
+
+  // Outer events first when several start at the same time
+  compilerEvents.sort((a, b) => a.startTime - b.startTime || b.duration - a.duration);
+
+  return compilerEvents;
+}
+
+/**
+ * Find the immediate parent of each interval (the innermost interval containing it)
+ * in a single sweep over the intervals sorted by start time, keeping a stack of the
+ * intervals that are still open.
+ *
+ * Ties are broken deterministically: among intervals starting at the same time the
+ * longest one is the outermost, and identical intervals (including zero-duration
+ * ones) nest in their original order.
+ * @param {Array} intervals - Array of {startTime, endTime} objects
+ * @returns {Array<number>} Index of the parent interval for each interval, or -1 for roots
+ */
+function findIncludeParents(intervals) {
+  const order = intervals.map((_, idx) => idx);
+  order.sort((a, b) =>
+    intervals[a].startTime - intervals[b].startTime ||
+    intervals[b].endTime - intervals[a].endTime ||
+    a - b);
+
+  const parents = new Array(intervals.length).fill(-1);
+  const stack = [];
+
+  for (const idx of order) {
+    // Close the intervals that end before this one does
+    while (stack.length > 0 && intervals[stack[stack.length - 1]].endTime < intervals[idx].endTime) {
+      stack.pop();
+    }
+
+    if (stack.length > 0) {
+      parents[idx] = stack[stack.length - 1];
+    }
+    stack.push(idx);
+  }
+
+  return parents;
+}
+
+/**
+ * Build include hierarchy from intervals based on timestamp containment
+ * @param {Array} intervals - Array of interval objects
+ * @returns {Array} Array with parent relationships added
+ */
+function buildIncludeHierarchy(intervals) {
+  const parents = findIncludeParents(intervals);
+
+  return intervals.map((interval, idx) => ({
+    file: interval.file,
+    startTime: interval.startTime,
+    endTime: interval.endTime,
+    duration: interval.duration,
+    parentFile: parents[idx] !== -1 ? intervals[parents[idx]].file : null
+  }));
+}
+
+/**
+ * Read a trace file and extract everything the dashboard needs from it
+ * @param {string} jsonFile - Path to the Clang trace JSON file
+ * @returns {Object|null} {name, buildTime, includes, events}, or null if the trace has no Source markers
+ */
+function processTraceFile(jsonFile) {
+  const traceData = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  const intervals = extractSourceMarkers(traceData);
+
+  if (intervals.length === 0) return null;
+
+  const includesWithHierarchy = buildIncludeHierarchy(intervals);
+
+  // Sort by start time (chronological order)
+  includesWithHierarchy.sort((a, b) => a.startTime - b.startTime);
+
+  return {
+    name: path.basename(jsonFile, '.json'),
+    // Get build time from ExecuteCompiler marker
+    buildTime: extractExecuteCompilerDuration(traceData),
+    includes: includesWithHierarchy,
+    events: extractCompilerEvents(traceData)
+  };
+}
+
+/**
+ * Run processTraceFile() on each trace file, in a pool of worker threads when jobs > 1.
+ * Results are returned in the order of jsonFiles, so the output does not depend on
+ * the number of jobs.
+ * @param {Array<string>} jsonFiles - Trace files to process
+ * @param {number} jobs - Number of worker threads
+ * @param {Function} onProgress - Called with the number of finished files
+ * @returns {Promise<Array>} One {result} or {error} object per trace file
+ */
+function processTraceFiles(jsonFiles, jobs, onProgress) {
+  const outcomes = new Array(jsonFiles.length);
+
+  if (jobs <= 1 || jsonFiles.length === 0) {
+    for (let idx = 0; idx < jsonFiles.length; idx++) {
+      try {
+        outcomes[idx] = { result: processTraceFile(jsonFiles[idx]) };
+      } catch (err) {
+        outcomes[idx] = { error: err.message };
+      }
+      onProgress(idx + 1);
+    }
+    return Promise.resolve(outcomes);
+  }
+
+  return new Promise((resolve, reject) => {
+    let nextIndex = 0;
+    let finishedCount = 0;
+
+    function sendNext(worker) {
+      if (nextIndex < jsonFiles.length) {
+        worker.postMessage({ index: nextIndex, file: jsonFiles[nextIndex] });
+        nextIndex++;
+      } else {
+        worker.terminate();
+      }
+    }
+
+    const workerCount = Math.min(jobs, jsonFiles.length);
+    for (let w = 0; w < workerCount; w++) {
+      const worker = new Worker(__filename);
+
+      worker.on('message', ({ index, result, error }) => {
+        outcomes[index] = error !== undefined ? { error } : { result };
+        finishedCount++;
+        onProgress(finishedCount);
+
+        if (finishedCount === jsonFiles.length) {
+          resolve(outcomes);
+        }
+        sendNext(worker);
+      });
+      worker.on('error', reject);
+
+      sendNext(worker);
+    }
+  });
+}
+
+/**
+ * Worker thread entry point: process the trace files sent by processTraceFiles()
+ */
+function workerMain() {
+  parentPort.on('message', ({ index, file }) => {
+    try {
+      parentPort.postMessage({ index, result: processTraceFile(file) });
+    } catch (err) {
+      parentPort.postMessage({ index, error: err.message });
+    }
+  });
+}
+
+/**
+ * Pack the result of processTraceFile() for the cache, using a string table
+ * and parallel arrays instead of one object per include
+ * @param {Object|null} cu - Result of processTraceFile()
+ * @returns {Object|null} Packed result
+ */
+function packTraceResult(cu) {
+  if (!cu) return null;
+
+  const strings = [];
+  const stringToIndex = new Map();
+
+  function addString(str) {
+    if (!stringToIndex.has(str)) {
+      stringToIndex.set(str, strings.length);
+      strings.push(str);
+    }
+    return stringToIndex.get(str);
+  }
+
+  return {
+    name: cu.name,
+    buildTime: cu.buildTime,
+    includes: {
+      files: cu.includes.map(inc => addString(inc.file)),
+      parentFiles: cu.includes.map(inc => inc.parentFile !== null ? addString(inc.parentFile) : -1),
+      startTimes: cu.includes.map(inc => inc.startTime),
+      endTimes: cu.includes.map(inc => inc.endTime)
+    },
+    events: {
+      names: cu.events.map(event => COMPILER_EVENT_NAMES.indexOf(event.name)),
+      details: cu.events.map(event => event.detail !== null ? addString(event.detail) : -1),
+      startTimes: cu.events.map(event => event.startTime),
+      durations: cu.events.map(event => event.duration)
+    },
+    strings: strings
+  };
+}
+
+/**
+ * Rebuild the result of processTraceFile() from its packed form
+ * @param {Object|null} packed - Result of packTraceResult()
+ * @returns {Object|null} Same value as processTraceFile() returned
+ */
+function unpackTraceResult(packed) {
+  if (!packed) return null;
+
+  const { includes, events, strings } = packed;
+
+  return {
+    name: packed.name,
+    buildTime: packed.buildTime,
+    includes: includes.files.map((fileIndex, idx) => ({
+      file: strings[fileIndex],
+      startTime: includes.startTimes[idx],
+      endTime: includes.endTimes[idx],
+      duration: includes.endTimes[idx] - includes.startTimes[idx],
+      parentFile: includes.parentFiles[idx] !== -1 ? strings[includes.parentFiles[idx]] : null
+    })),
+    events: events.names.map((nameIndex, idx) => ({
+      name: COMPILER_EVENT_NAMES[nameIndex],
+      detail: events.details[idx] !== -1 ? strings[events.details[idx]] : null,
+      startTime: events.startTimes[idx],
+      duration: events.durations[idx]
+    }))
+  };
+}
+
+/**
+ * Read the per-trace cache written by a previous run
+ * @param {string} cacheFile - Path to the cache file
+ * @returns {Map} Absolute trace path -> {size, mtimeMs, result}
+ */
+function readTraceCache(cacheFile) {
+  if (!fs.existsSync(cacheFile)) {
+    return new Map();
+  }
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (cache.version !== TRACE_CACHE_VERSION) {
+      console.error(`  Ignoring cache ${cacheFile}: written by a different version`);
+      return new Map();
+    }
+    return new Map(Object.entries(cache.entries));
+  } catch (err) {
+    console.error(`  Warning: Ignoring unreadable cache ${cacheFile}: ${err.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Write the per-trace cache
+ * @param {string} cacheFile - Path to the cache file
+ * @param {Map} entries - Absolute trace path -> {size, mtimeMs, result}
+ */
+function writeTraceCache(cacheFile, entries) {
+  const cache = {
+    version: TRACE_CACHE_VERSION,
+    entries: Object.fromEntries(entries)
+  };
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
+
+/**
+ * Split command line arguments into positional arguments and options.
+ * Options are given as `--name value`, `--name=value`, or `--name` for boolean options.
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} optionTypes - Option name -> 'string' or 'boolean'
+ * @returns {Object} {positional: Array<string>, options: Object}
+ */
+function parseArgs(args, optionTypes) {
+  const positional = [];
+  const options = {};
+
+  for (let idx = 0; idx < args.length; idx++) {
+    const arg = args[idx];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    const name = arg.slice(2, eqIndex === -1 ? undefined : eqIndex);
+    const type = optionTypes[name];
+
+    if (!type) {
+      throw new Error(`Unknown option '--${name}'`);
+    }
+
+    if (type === 'boolean') {
+      options[name] = true;
+    } else if (eqIndex !== -1) {
+      options[name] = arg.slice(eqIndex + 1);
+    } else if (idx + 1 < args.length) {
+      options[name] = args[++idx];
+    } else {
+      throw new Error(`Option '--${name}' requires a value`);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Encode dashboard data in the compact encoding: the per-CU integer arrays of
+ * COMPACT_FIELDS as zigzag varints, the rest as JSON, all gzipped.
+ * Layout before gzip:
+ *   "CTDC", encoding version byte, varint JSON length, JSON,
+ *   then for each field and each CU: varint count, count zigzag varints
+ * @param {Object} data - Dashboard data
+ * @returns {Buffer} The encoded file contents
+ */
+function encodeCompactDashboard(data) {
+  // Everything but the packed arrays, which are set to null in the JSON part
+  const header = Object.assign({}, data);
+  for (const [section] of COMPACT_FIELDS) {
+    header[section] = Object.assign({}, data[section]);
+  }
+
+  let valueCount = 0;
+  for (const [section, field] of COMPACT_FIELDS) {
+    for (const values of data[section][field]) {
+      valueCount += values.length + 1;
+    }
+    header[section][field] = null;
+  }
+
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+  // A varint takes at most 5 bytes for the 32-bit values stored here
+  const buffer = Buffer.alloc(COMPACT_MAGIC.length + 1 + 5 + headerBytes.length + valueCount * 5);
+  let offset = 0;
+
+  function writeVarint(value) {
+    while (value >= 0x80) {
+      buffer[offset++] = (value % 0x80) | 0x80;
+      value = Math.floor(value / 0x80);
+    }
+    buffer[offset++] = value;
+  }
+
+  offset += buffer.write(COMPACT_MAGIC, offset, 'latin1');
+  buffer[offset++] = COMPACT_ENCODING_VERSION;
+  writeVarint(headerBytes.length);
+  offset += headerBytes.copy(buffer, offset);
+
+  for (const [section, field] of COMPACT_FIELDS) {
+    for (const values of data[section][field]) {
+      writeVarint(values.length);
+      for (const value of values) {
+        writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+      }
+    }
+  }
+
+  return zlib.gzipSync(buffer.subarray(0, offset));
+}
+
+/**
+ * Decode a file written by encodeCompactDashboard()
+ * @param {Buffer} buffer - Gunzipped file contents
+ * @returns {Object} Dashboard data, the same as the JSON format
+ */
+function decodeCompactDashboard(buffer) {
+  let offset = COMPACT_MAGIC.length;
+
+  const encodingVersion = buffer[offset++];
+  if (encodingVersion !== COMPACT_ENCODING_VERSION) {
+    throw new Error(`Unsupported compact encoding version ${encodingVersion}`);
+  }
+
+  function readVarint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (offset >= buffer.length) {
+        throw new Error('Truncated compact data');
+      }
+      byte = buffer[offset++];
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  const headerLength = readVarint();
+  const data = JSON.parse(buffer.toString('utf8', offset, offset + headerLength));
+  offset += headerLength;
+
+  const cuCount = data.compilationUnits.names.length;
+  for (const [section, field] of COMPACT_FIELDS) {
+    const arrays = new Array(cuCount);
+    for (let cuId = 0; cuId < cuCount; cuId++) {
+      const values = new Array(readVarint());
+      for (let i = 0; i < values.length; i++) {
+        const zigzag = readVarint();
+        values[i] = zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+      }
+      arrays[cuId] = values;
+    }
+    data[section][field] = arrays;
+  }
+
+  return data;
+}
+
+/**
+ * Read a dashboard file generated by this script, in JSON or compact encoding, optionally gzipped
+ * @param {string} file - Path to the dashboard file
+ * @returns {Object} The parsed dashboard data
+ * @throws {Error} If the file is not a dashboard file in a supported version
+ */
+function readDashboard(file) {
+  let buffer = fs.readFileSync(file);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+  const data = buffer.toString('latin1', 0, COMPACT_MAGIC.length) === COMPACT_MAGIC
+    ? decodeCompactDashboard(buffer)
+    : JSON.parse(buffer.toString('utf8'));
+  validateDashboard(data, file);
+  return normalizeTimeUnit(data);
+}
+
+/**
+ * Check that parsed data is a dashboard file this script can read, like
+ * validateDashboardData() in index.html
+ * @param {Object} data - Parsed file contents
+ * @param {string} file - Path of the file, for the error messages
+ * @throws {Error} For diff and history files, and unsupported format versions
+ */
+function validateDashboard(data, file) {
+  if (data === null || typeof data !== 'object' || !data.metadata) {
+    throw new Error(`'${file}' is not a dashboard file (no metadata)`);
+  }
+  if (data.metadata.type === 'diff' || data.metadata.type === 'history') {
+    throw new Error(`'${file}' is a ${data.metadata.type} file, not a dashboard file`);
+  }
+
+  // Files written before the format had a version are 1.0
+  const version = data.metadata.version || '1.0';
+  const majorVersion = parseInt(String(version).split('.')[0], 10);
+  if (!SUPPORTED_FORMAT_VERSIONS.includes(majorVersion)) {
+    throw new Error(`'${file}' has format version ${version}, but this script reads versions ` +
+      `${SUPPORTED_FORMAT_VERSIONS.map(v => `${v}.x`).join(' and ')}`);
+  }
+}
+
+/**
+ * Convert the times of dashboard data stored in a finer unit than milliseconds to
+ * (fractional) milliseconds, so that everything reading it can assume milliseconds
+ * @param {Object} data - Dashboard data, modified in place
+ * @returns {Object} The same data, with `metadata.timeUnit` set to 'ms' and `metadata.timeDecimals`
+ *   to the number of decimals the stored times have in milliseconds
+ * @throws {Error} If the time unit is unknown
+ */
+function normalizeTimeUnit(data) {
+  const timeUnit = (data.metadata && data.metadata.timeUnit) || 'ms';
+  const unitsPerMs = TIME_UNITS[timeUnit];
+  if (unitsPerMs === undefined) {
+    throw new Error(`Unknown time unit '${timeUnit}'`);
+  }
+  data.metadata.timeDecimals = Math.round(Math.log10(unitsPerMs));
+  if (unitsPerMs === 1) return data;
+
+  const toMs = values => values.map(value => value / unitsPerMs);
+  data.compilationUnits.buildTimes = toMs(data.compilationUnits.buildTimes);
+  for (const section of [data.includes, data.events]) {
+    if (!section) continue;
+    section.startTimes = section.startTimes.map(toMs);
+    section.durations = section.durations.map(toMs);
+  }
+  if (data.repeatedIncludes) {
+    data.repeatedIncludes.repeatTimes = data.repeatedIncludes.repeatTimes.map(toMs);
+  }
+  data.metadata.timeUnit = 'ms';
+  return data;
+}
+
+/**
+ * Aggregate per-header statistics, the same way processData() in index.html does
+ * @param {Object} data - Dashboard data
+ * @returns {Map} fileId -> {includeCount, affectedCUs, rebuildTime, rebuildPercent, maxTreeSize, maxTreeSizeCU,
+ *                   isSDK, directlyIncludedByOurCode}
+ */
+function computeHeaderStats(data) {
+  const headerMap = new Map();
+  const totalBuildTime = data.compilationUnits.buildTimes.reduce((a, b) => a + b, 0);
+  const isSDK = data.tables.files.map((_, fileId) => getFileCategory(data, fileId) === 'sdk');
+
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const cuFileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
+    const cuBuildTime = data.compilationUnits.buildTimes[cuId];
+    const seenInThisCU = new Set();
+
+    for (let i = 0; i < cuFileIds.length; i++) {
+      const fileId = cuFileIds[i];
+      let header = headerMap.get(fileId);
+      if (!header) {
+        header = {
+          includeCount: 0,
+          affectedCUs: new Set(),
+          rebuildTime: 0,
+          rebuildPercent: 0,
+          maxTreeSize: 0,
+          maxTreeSizeCU: -1,
+          isSDK: isSDK[fileId],
+          directlyIncludedByOurCode: false
+        };
+        headerMap.set(fileId, header);
+      }
+
+      header.includeCount++;
+      seenInThisCU.add(fileId);
+
+      if (!header.affectedCUs.has(cuId)) {
+        header.affectedCUs.add(cuId);
+        header.rebuildTime += cuBuildTime;
+      }
+
+      // SDK files included from a root include or from our code
+      if (isSDK[fileId] && (parentFileIds[i] === -1 || !isSDK[parentFileIds[i]])) {
+        header.directlyIncludedByOurCode = true;
+      }
+    }
+
+    // Calculate tree sizes for this CU in one pass (bottom-up)
+    const treeSizes = new Map();
+    for (let i = cuFileIds.length - 1; i >= 0; i--) {
+      const fileId = cuFileIds[i];
+      const parentId = parentFileIds[i];
+
+      if (!treeSizes.has(fileId)) {
+        treeSizes.set(fileId, 0);
+      }
+
+      if (parentId !== -1) {
+        const currentSize = treeSizes.get(parentId) || 0;
+        treeSizes.set(parentId, currentSize + 1 + treeSizes.get(fileId));
+      }
+    }
+
+    for (const fileId of seenInThisCU) {
+      const treeSize = treeSizes.get(fileId) || 0;
+      const header = headerMap.get(fileId);
+      if (treeSize > header.maxTreeSize) {
+        header.maxTreeSize = treeSize;
+        header.maxTreeSizeCU = cuId;
+      }
+    }
+  }
+
+  for (const header of headerMap.values()) {
+    header.rebuildPercent = totalBuildTime > 0 ? (header.rebuildTime / totalBuildTime) * 100 : 0;
+  }
+
+  return headerMap;
+}
+
+/**
+ * Collect include edges (parent file -> included file) by path
+ * Root includes (parentFileId === -1) are not edges between files and are skipped.
+ * @param {Object} data - Dashboard data
+ * @returns {Map} "parentPath\0childPath" -> number of CUs containing the edge
+ */
+function collectIncludeEdges(data) {
+  const edges = new Map();
+
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const fileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
+    const seenInThisCU = new Set();
+
+    for (let i = 0; i < fileIds.length; i++) {
+      if (parentFileIds[i] === -1) continue;
+
+      const key = `${data.tables.files[parentFileIds[i]]}\0${data.tables.files[fileIds[i]]}`;
+      if (!seenInThisCU.has(key)) {
+        seenInThisCU.add(key);
+        edges.set(key, (edges.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Compare two dashboard files.
+ * File IDs are frequency-sorted and differ between builds, so files are matched by path
+ * and compilation units by name.
+ * @param {Object} oldData - Dashboard data of the baseline build
+ * @param {Object} newData - Dashboard data of the new build
+ * @returns {Object} Diff output (see JSON_FORMAT.md)
+ */
+function diffDashboards(oldData, newData) {
+  const files = [];
+  const fileToId = new Map();
+
+  function getFileId(file) {
+    if (!fileToId.has(file)) {
+      fileToId.set(file, files.length);
+      files.push(file);
+    }
+    return fileToId.get(file);
+  }
+
+  function summarize(data) {
+    return {
+      generatedAt: data.metadata.generatedAt,
+      totalCompilationUnits: data.compilationUnits.names.length,
+      totalIncludes: data.metadata.totalIncludes,
+      totalUniqueHeaders: data.tables.files.length,
+      totalBuildTime: data.compilationUnits.buildTimes.reduce((a, b) => a + b, 0)
+    };
+  }
+
+  // Headers, matched by path
+  const oldStats = new Map();
+  for (const [fileId, stats] of computeHeaderStats(oldData)) {
+    oldStats.set(oldData.tables.files[fileId], stats);
+  }
+  const newStats = new Map();
+  for (const [fileId, stats] of computeHeaderStats(newData)) {
+    newStats.set(newData.tables.files[fileId], stats);
+  }
+
+  const changedHeaders = [];
+  for (const file of new Set([...oldStats.keys(), ...newStats.keys()])) {
+    const before = oldStats.get(file) || null;
+    const after = newStats.get(file) || null;
+
+    // Compare rebuild impact at the precision shown in the dashboard
+    const round = value => Math.round(value * 100) / 100;
+    if (before && after &&
+        round(before.rebuildPercent) === round(after.rebuildPercent) &&
+        before.includeCount === after.includeCount &&
+        before.maxTreeSize === after.maxTreeSize) {
+      continue;
+    }
+
+    changedHeaders.push({
+      file: file,
+      delta: Math.abs((after ? after.rebuildPercent : 0) - (before ? before.rebuildPercent : 0)),
+      before: before,
+      after: after
+    });
+  }
+  changedHeaders.sort((a, b) => b.delta - a.delta || a.file.localeCompare(b.file));
+
+  const headers = {
+    fileIds: [],
+    oldRebuildPercents: [],
+    newRebuildPercents: [],
+    oldIncludeCounts: [],
+    newIncludeCounts: [],
+    oldMaxTreeSizes: [],
+    newMaxTreeSizes: []
+  };
+  for (const { file, before, after } of changedHeaders) {
+    headers.fileIds.push(getFileId(file));
+    headers.oldRebuildPercents.push(before ? Math.round(before.rebuildPercent * 1000) / 1000 : null);
+    headers.newRebuildPercents.push(after ? Math.round(after.rebuildPercent * 1000) / 1000 : null);
+    headers.oldIncludeCounts.push(before ? before.includeCount : null);
+    headers.newIncludeCounts.push(after ? after.includeCount : null);
+    headers.oldMaxTreeSizes.push(before ? before.maxTreeSize : null);
+    headers.newMaxTreeSizes.push(after ? after.maxTreeSize : null);
+  }
+
+  // Compilation units, matched by name
+  function cuStats(data) {
+    const stats = new Map();
+    for (let cuId = 0; cuId < data.compilationUnits.names.length; cuId++) {
+      stats.set(data.compilationUnits.names[cuId], {
+        buildTime: data.compilationUnits.buildTimes[cuId],
+        includeTreeSize: data.includes.fileIds[cuId].length
+      });
+    }
+    return stats;
+  }
+
+  const oldCUs = cuStats(oldData);
+  const newCUs = cuStats(newData);
+  const changedCUs = [];
+  for (const name of new Set([...oldCUs.keys(), ...newCUs.keys()])) {
+    const before = oldCUs.get(name) || null;
+    const after = newCUs.get(name) || null;
+
+    if (before && after &&
+        before.buildTime === after.buildTime &&
+        before.includeTreeSize === after.includeTreeSize) {
+      continue;
+    }
+
+    changedCUs.push({
+      name: name,
+      delta: Math.abs((after ? after.buildTime : 0) - (before ? before.buildTime : 0)),
+      before: before,
+      after: after
+    });
+  }
+  changedCUs.sort((a, b) => b.delta - a.delta || a.name.localeCompare(b.name));
+
+  const compilationUnits = {
+    names: [],
+    oldBuildTimes: [],
+    newBuildTimes: [],
+    oldIncludeTreeSizes: [],
+    newIncludeTreeSizes: []
+  };
+  for (const { name, before, after } of changedCUs) {
+    compilationUnits.names.push(name);
+    compilationUnits.oldBuildTimes.push(before ? before.buildTime : null);
+    compilationUnits.newBuildTimes.push(after ? after.buildTime : null);
+    compilationUnits.oldIncludeTreeSizes.push(before ? before.includeTreeSize : null);
+    compilationUnits.newIncludeTreeSizes.push(after ? after.includeTreeSize : null);
+  }
+
+  // Include edges, matched by path
+  const oldEdges = collectIncludeEdges(oldData);
+  const newEdges = collectIncludeEdges(newData);
+
+  function edgeList(edges, otherEdges) {
+    const list = {
+      parentFileIds: [],
+      fileIds: [],
+      cuCounts: []
+    };
+    const onlyHere = Array.from(edges.entries())
+      .filter(([key, _]) => !otherEdges.has(key))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    for (const [key, cuCount] of onlyHere) {
+      const [parentFile, file] = key.split('\0');
+      list.parentFileIds.push(getFileId(parentFile));
+      list.fileIds.push(getFileId(file));
+      list.cuCounts.push(cuCount);
+    }
+    return list;
+  }
+
+  const edges = {
+    added: edgeList(newEdges, oldEdges),
+    removed: edgeList(oldEdges, newEdges)
+  };
+
+  return {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      type: 'diff',
+      old: summarize(oldData),
+      new: summarize(newData)
+    },
+    tables: {
+      files: files
+    },
+    headers: headers,
+    compilationUnits: compilationUnits,
+    edges: edges
+  };
+}
+
+/**
+ * Compare two dashboard files and write the differences
+ * @param {Array<string>} args - Command line arguments after 'diff'
+ */
+function diffMain(args) {
+  if (args.length < 3) {
+    console.error('Usage: node clang-trace-to-dashboard.js diff <old.json> <new.json> <output.json>');
+    console.error('');
+    console.error('Compares two dashboard files and writes the headers, compilation units and');
+    console.error('include edges that changed.');
+    process.exit(1);
+  }
+
+  const [oldFile, newFile, outputFile] = args;
+
+  for (const file of [oldFile, newFile]) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: File '${file}' not found`);
+      process.exit(1);
+    }
+  }
+
+  console.error(`Reading ${oldFile} and ${newFile}...`);
+  const diff = diffDashboards(readDashboard(oldFile), readDashboard(newFile));
+
+  console.error(`  Changed headers: ${diff.headers.fileIds.length}`);
+  console.error(`  Changed compilation units: ${diff.compilationUnits.names.length}`);
+  console.error(`  Added include edges: ${diff.edges.added.fileIds.length}`);
+  console.error(`  Removed include edges: ${diff.edges.removed.fileIds.length}`);
+
+  fs.writeFileSync(outputFile, JSON.stringify(diff));
+  console.error(`Done! Output file: ${outputFile}`);
+}
+
+/**
+ * Format a duration in milliseconds for display, like formatTime() in index.html.
+ * Fractional durations below 10ms, from data with sub-millisecond precision or from
+ * averages, keep up to three decimals.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatTime(ms) {
+  if (ms < 10 && !Number.isInteger(ms)) return `${Number(ms.toFixed(3))}ms`;
+  if (ms < 1000) return `${ms.toFixed(0)}ms`;
+  const sec = ms / 1000;
+  if (sec < 60) return `${sec.toFixed(1)}s`;
+  const min = sec / 60;
+  if (min < 60) return `${min.toFixed(1)}min`;
+  const hours = min / 60;
+  return `${hours.toFixed(1)}h`;
+}
+
+/**
+ * List the files changed since a revision in a git repository
+ * @param {string} repoDir - Directory inside the git repository
+ * @param {string} rev - Revision to compare the working tree against
+ * @returns {Array<string>} Absolute paths of the changed files
+ */
+function getGitChangedFiles(repoDir, rev) {
+  const git = (...gitArgs) => execFileSync('git', gitArgs, { cwd: repoDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  const topLevel = git('rev-parse', '--show-toplevel').trim();
+
+  return git('diff', '--name-only', rev)
+    .split('\n')
+    .filter(line => line.length > 0)
+    .map(file => path.join(topLevel, file));
+}
+
+/**
+ * Find the file IDs and compilation units matching a changed file.
+ * Absolute paths are matched exactly. If that finds nothing, or the path is relative,
+ * files whose path ends with the given path are matched, so that a tree checked out
+ * in a different place than the one that was built still matches.
+ * @param {Object} data - Dashboard data
+ * @param {string} file - Path of the changed file
+ * @returns {Object} {fileIds: Array<number>, cuIds: Array<number>}
+ */
+function matchChangedFile(data, file) {
+  const sourceFiles = data.compilationUnits.sourceFiles || [];
+
+  const findMatches = (isMatch) => ({
+    fileIds: data.tables.files.flatMap((f, fileId) => isMatch(f) ? [fileId] : []),
+    cuIds: sourceFiles.flatMap((f, cuId) => isMatch(f) ? [cuId] : [])
+  });
+
+  if (path.isAbsolute(file)) {
+    const matches = findMatches(f => f === file);
+    if (matches.fileIds.length > 0 || matches.cuIds.length > 0) {
+      return matches;
+    }
+  }
+
+  // Try shorter and shorter suffixes of the path until one is found in the build,
+  // skipping the first components which are where the tree was checked out.
+  // The file name alone is too ambiguous to be tried.
+  const parts = file.split('/').filter(part => part.length > 0 && part !== '.');
+  for (let start = path.isAbsolute(file) ? 1 : 0; start < Math.max(parts.length - 1, 1); start++) {
+    const suffix = parts.slice(start).join('/');
+    const matches = findMatches(f => f === suffix || f.endsWith(`/${suffix}`));
+    if (matches.fileIds.length > 0 || matches.cuIds.length > 0) {
+      return matches;
+    }
+    if (!path.isAbsolute(file)) break;
+  }
+
+  return { fileIds: [], cuIds: [] };
+}
+
+/**
+ * Compute the compilation units that rebuild when the given files change
+ * @param {Object} data - Dashboard data
+ * @param {Array<string>} changedFiles - Paths of the changed files
+ * @returns {Object} {files: [{file, matches, compilationUnits}], compilationUnits: Array<number>, buildTime, totalBuildTime}
+ */
+function computeAffectedCUs(data, changedFiles) {
+  const cuIdsByFileId = new Map();
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    for (const fileId of data.includes.fileIds[cuId]) {
+      let cuIds = cuIdsByFileId.get(fileId);
+      if (!cuIds) {
+        cuIds = new Set();
+        cuIdsByFileId.set(fileId, cuIds);
+      }
+      cuIds.add(cuId);
+    }
+  }
+
+  const affected = new Set();
+  const files = changedFiles.map(file => {
+    const matches = matchChangedFile(data, file);
+    const fileAffected = new Set(matches.cuIds);
+    for (const fileId of matches.fileIds) {
+      for (const cuId of cuIdsByFileId.get(fileId) || []) {
+        fileAffected.add(cuId);
+      }
+    }
+    fileAffected.forEach(cuId => affected.add(cuId));
+
+    return {
+      file: file,
+      matches: [
+        ...matches.fileIds.map(fileId => data.tables.files[fileId]),
+        ...matches.cuIds.map(cuId => data.compilationUnits.sourceFiles[cuId])
+      ].filter((f, idx, all) => all.indexOf(f) === idx),
+      compilationUnits: fileAffected.size
+    };
+  });
+
+  const buildTimes = data.compilationUnits.buildTimes;
+  const compilationUnits = Array.from(affected).sort((a, b) => buildTimes[b] - buildTimes[a]);
+
+  return {
+    files: files,
+    compilationUnits: compilationUnits,
+    buildTime: compilationUnits.reduce((sum, cuId) => sum + buildTimes[cuId], 0),
+    totalBuildTime: buildTimes.reduce((a, b) => a + b, 0)
+  };
+}
+
+/**
+ * Report the compilation units that rebuild when some files change
+ * @param {Array<string>} args - Command line arguments after 'affected'
+ */
+function affectedMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      rev: 'string',
+      repo: 'string',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = options.format || 'text';
+
+  if (positional.length < 1 || (positional.length < 2 && !options.rev) || !['text', 'json'].includes(format)) {
+    console.error('Usage: node clang-trace-to-dashboard.js affected [options] <dashboard.json> [files...]');
+    console.error('');
+    console.error('Lists the compilation units that rebuild when the given files change, and their');
+    console.error('summed build time.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --rev <rev>           Also use the files changed since <rev> (git diff --name-only <rev>)');
+    console.error('  --repo <dir>          Git repository to run git diff in (default: current directory)');
+    console.error('  --format text|json    Output format (default: text)');
+    process.exit(1);
+  }
+
+  const [dashboardFile, ...changedFiles] = positional;
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  if (options.rev) {
+    try {
+      changedFiles.push(...getGitChangedFiles(options.repo || '.', options.rev));
+    } catch (err) {
+      console.error(`Error: Could not list files changed since '${options.rev}': ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const data = readDashboard(dashboardFile);
+  const result = computeAffectedCUs(data, changedFiles);
+  const names = data.compilationUnits.sourceFiles || data.compilationUnits.names;
+  const buildTimes = data.compilationUnits.buildTimes;
+  const totalCUs = data.compilationUnits.names.length;
+
+  if (format === 'json') {
+    const output = {
+      files: result.files,
+      totalCompilationUnits: totalCUs,
+      totalBuildTime: result.totalBuildTime,
+      affectedCompilationUnits: result.compilationUnits.length,
+      affectedBuildTime: result.buildTime,
+      compilationUnits: result.compilationUnits.map(cuId => ({
+        name: names[cuId],
+        buildTime: buildTimes[cuId]
+      }))
+    };
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  const percent = (value, total) => total > 0 ? `${((value / total) * 100).toFixed(1)}%` : '0.0%';
+
+  console.log('Changed files:');
+  for (const file of result.files) {
+    const status = file.matches.length > 0 ?
+      `${file.compilationUnits} CU${file.compilationUnits === 1 ? '' : 's'}` : 'not in the build';
+    console.log(`  ${file.file}: ${status}`);
+  }
+  console.log('');
+  console.log(`Compilation units to rebuild: ${result.compilationUnits.length} of ${totalCUs} (${percent(result.compilationUnits.length, totalCUs)})`);
+  console.log(`Build time: ${formatTime(result.buildTime)} of ${formatTime(result.totalBuildTime)} (${percent(result.buildTime, result.totalBuildTime)})`);
+
+  if (result.compilationUnits.length > 0) {
+    console.log('');
+    for (const cuId of result.compilationUnits) {
+      console.log(`  ${formatTime(buildTimes[cuId]).padStart(8)}  ${names[cuId]}`);
+    }
+  }
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching the end of a path.
+ * `*` matches within a path component, `**` across components, `?` one character.
+ * The pattern must match whole path components, so `mozilla/dom/*.h` matches
+ * `/home/user/obj-ff/dist/include/mozilla/dom/Element.h` but not `.../notmozilla/dom/Element.h`.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let idx = 0; idx < pattern.length; idx++) {
+    const c = pattern[idx];
+    if (c === '*' && pattern[idx + 1] === '*') {
+      source += '.*';
+      idx++;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`(^|/)${source}$`);
+}
+
+/**
+ * Budget types understood by the check command.
+ * Each entry describes the budget and finds its violations in a dashboard:
+ * violations are {subject, value, message}, where subject identifies the violation
+ * across builds and value is compared to the budget. `required` maps the budget's fields to
+ * their types. Types with formatValue() measure their violations: a violation already in the
+ * baseline still fails if its value got worse.
+ */
+const BUDGET_TYPES = {
+  rebuildImpact: {
+    required: { maxPercent: 'number' },
+    formatValue: value => `${value.toFixed(2)}%`,
+    describe: budget => `Rebuild impact of ${budget.headers || '**'} at most ${budget.maxPercent}%`,
+    check(budget, context) {
+      const pattern = globToRegExp(budget.headers || '**');
+      const violations = [];
+      for (const [fileId, stats] of context.headerStats) {
+        const file = context.data.tables.files[fileId];
+        if (pattern.test(file) && stats.rebuildPercent > budget.maxPercent) {
+          violations.push({
+            subject: file,
+            value: stats.rebuildPercent,
+            message: `${file}: ${stats.rebuildPercent.toFixed(2)}% (${stats.affectedCUs.size} CUs)`
+          });
+        }
+      }
+      return violations;
+    }
+  },
+
+  buildTime: {
+    required: { maxSeconds: 'number' },
+    formatValue: value => formatTime(value),
+    describe: budget => `Build time of ${budget.compilationUnits || '**'} at most ${budget.maxSeconds}s`,
+    check(budget, context) {
+      const pattern = globToRegExp(budget.compilationUnits || '**');
+      const { names, sourceFiles, buildTimes } = context.data.compilationUnits;
+      const violations = [];
+      for (let cuId = 0; cuId < names.length; cuId++) {
+        const name = sourceFiles ? sourceFiles[cuId] : names[cuId];
+        if ((pattern.test(names[cuId]) || pattern.test(name)) && buildTimes[cuId] > budget.maxSeconds * 1000) {
+          violations.push({
+            subject: names[cuId],
+            value: buildTimes[cuId],
+            message: `${name}: ${formatTime(buildTimes[cuId])}`
+          });
+        }
+      }
+      return violations;
+    }
+  },
+
+  forbiddenInclude: {
+    required: { include: 'string' },
+    describe: budget => `${budget.headers || '**'} may not transitively include ${budget.include}`,
+    check(budget, context) {
+      const files = context.data.tables.files;
+      const headersPattern = globToRegExp(budget.headers || '**');
+      const includePattern = globToRegExp(budget.include);
+
+      // Walk the include graph backwards from the forbidden headers, remembering for
+      // each file the next file on its shortest include chain to one of them
+      const next = new Map();
+      let queue = [];
+      for (let fileId = 0; fileId < files.length; fileId++) {
+        if (includePattern.test(files[fileId])) {
+          next.set(fileId, -1);
+          queue.push(fileId);
+        }
+      }
+      while (queue.length > 0) {
+        const nextQueue = [];
+        for (const fileId of queue) {
+          for (const includerId of context.includers.get(fileId) || []) {
+            if (!next.has(includerId)) {
+              next.set(includerId, fileId);
+              nextQueue.push(includerId);
+            }
+          }
+        }
+        queue = nextQueue;
+      }
+
+      const violations = [];
+      for (const [fileId, nextId] of next) {
+        if (nextId === -1 || !headersPattern.test(files[fileId])) continue;
+
+        const chain = [files[fileId]];
+        for (let id = nextId; id !== -1; id = next.get(id)) {
+          chain.push(files[id]);
+        }
+        violations.push({
+          subject: files[fileId],
+          value: chain.length - 1,
+          message: chain.join('\n          -> ')
+        });
+      }
+      return violations;
+    }
+  },
+
+  includeTreeSize: {
+    required: { max: 'number' },
+    formatValue: value => `${value} headers`,
+    describe: budget => `Max include tree size of ${budget.headers || '**'} at most ${budget.max}`,
+    check(budget, context) {
+      const pattern = globToRegExp(budget.headers || '**');
+      const { names, sourceFiles } = context.data.compilationUnits;
+      const violations = [];
+      for (const [fileId, stats] of context.headerStats) {
+        const file = context.data.tables.files[fileId];
+        if (pattern.test(file) && stats.maxTreeSize > budget.max) {
+          const cuName = sourceFiles ? sourceFiles[stats.maxTreeSizeCU] : names[stats.maxTreeSizeCU];
+          violations.push({
+            subject: file,
+            value: stats.maxTreeSize,
+            message: `${file}: ${stats.maxTreeSize} headers (in ${cuName})`
+          });
+        }
+      }
+      return violations;
+    }
+  }
+};
+
+/**
+ * Read and validate a budgets config file
+ * @param {string} file - Path to the budgets JSON file
+ * @returns {Array<Object>} The budgets
+ */
+function readBudgets(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.budgets)) {
+    throw new Error(`'${file}' has no 'budgets' array`);
+  }
+
+  config.budgets.forEach((budget, idx) => {
+    const budgetType = BUDGET_TYPES[budget.type];
+    if (!budgetType) {
+      throw new Error(`Budget ${idx + 1} has unknown type '${budget.type}' (expected one of: ${Object.keys(BUDGET_TYPES).join(', ')})`);
+    }
+    for (const [field, type] of Object.entries(budgetType.required)) {
+      if (budget[field] === undefined) {
+        throw new Error(`Budget ${idx + 1} (${budget.type}) is missing '${field}'`);
+      }
+      if (type === 'number' ? !Number.isFinite(budget[field]) : typeof budget[field] !== type) {
+        throw new Error(`Budget ${idx + 1} (${budget.type}) has invalid '${field}' (expected a ${type})`);
+      }
+    }
+  });
+
+  return config.budgets;
+}
+
+/**
+ * Find the violations of each budget in a dashboard
+ * @param {Object} data - Dashboard data
+ * @param {Array<Object>} budgets - Budgets from the config file
+ * @returns {Array<Array<Object>>} Violations of each budget
+ */
+function checkBudgets(data, budgets) {
+  const includers = new Map(); // fileId -> Set of fileIds including it
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const fileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
+    for (let i = 0; i < fileIds.length; i++) {
+      if (parentFileIds[i] === -1) continue;
+      if (!includers.has(fileIds[i])) {
+        includers.set(fileIds[i], new Set());
+      }
+      includers.get(fileIds[i]).add(parentFileIds[i]);
+    }
+  }
+
+  const context = { data, headerStats: computeHeaderStats(data), includers };
+  return budgets.map(budget => BUDGET_TYPES[budget.type].check(budget, context));
+}
+
+/**
+ * Check a dashboard against budgets and report the violations
+ * @param {Array<string>} args - Command line arguments after 'check'
+ */
+function checkMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      baseline: 'string',
+      tolerance: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const tolerance = options.tolerance !== undefined ? parseFloat(options.tolerance) : 0;
+
+  if (positional.length < 2 || !(tolerance >= 0)) {
+    console.error('Usage: node clang-trace-to-dashboard.js check [options] <dashboard.json> <budgets.json>');
+    console.error('');
+    console.error('Checks a dashboard file against the budgets in a config file, and exits with a');
+    console.error('non-zero status if one is exceeded. With --baseline, violations that already');
+    console.error('exist in the baseline dashboard are reported but don\'t fail the check, unless');
+    console.error('they got worse.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --baseline <file>     Dashboard of the baseline build');
+    console.error('  --tolerance P         Percentage by which a baseline violation may get worse (default: 0)');
+    process.exit(1);
+  }
+
+  const [dashboardFile, budgetsFile] = positional;
+  const baselineFile = options.baseline;
+
+  for (const file of [dashboardFile, budgetsFile, baselineFile].filter(Boolean)) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: File '${file}' not found`);
+      process.exit(1);
+    }
+  }
+
+  let budgets;
+  try {
+    budgets = readBudgets(budgetsFile);
+  } catch (err) {
+    console.error(`Error: Invalid budgets file: ${err.message}`);
+    process.exit(1);
+  }
+
+  const violations = checkBudgets(readDashboard(dashboardFile), budgets);
+  const baselineViolations = baselineFile ?
+    checkBudgets(readDashboard(baselineFile), budgets).map(list => new Map(list.map(v => [v.subject, v.value]))) :
+    null;
+
+  console.log(`Checking ${dashboardFile} against ${budgetsFile}${baselineFile ? ` (baseline: ${baselineFile})` : ''}`);
+  console.log('');
+
+  let failedBudgets = 0;
+  let newViolations = 0;
+  let existingViolations = 0;
+
+  budgets.forEach((budget, idx) => {
+    const budgetType = BUDGET_TYPES[budget.type];
+    const list = violations[idx].sort((a, b) => b.value - a.value || a.subject.localeCompare(b.subject));
+    const baselineValue = v => baselineViolations !== null ? baselineViolations[idx].get(v.subject) : undefined;
+    // A measured violation that got worse than in the baseline is a regression
+    const isRegression = v => baselineValue(v) !== undefined && budgetType.formatValue !== undefined &&
+      v.value > baselineValue(v) * (1 + tolerance / 100);
+    const isExisting = v => baselineValue(v) !== undefined && !isRegression(v);
+    const failing = list.filter(v => !isExisting(v));
+    const description = budget.description || budgetType.describe(budget);
+
+    if (failing.length > 0) failedBudgets++;
+    newViolations += failing.length;
+    existingViolations += list.length - failing.length;
+
+    console.log(`${failing.length > 0 ? 'FAIL' : 'PASS'}  ${description}`);
+    for (const violation of list) {
+      const note = isRegression(violation) ? ` (up from ${budgetType.formatValue(baselineValue(violation))} in baseline)` :
+        isExisting(violation) ? ' (already in baseline)' : '';
+      console.log(`        ${violation.message}${note}`);
+    }
+  });
+
+  console.log('');
+  const existingText = existingViolations > 0 ? `, ${existingViolations} already in baseline` : '';
+  if (failedBudgets > 0) {
+    console.log(`${failedBudgets} of ${budgets.length} budgets exceeded (${newViolations} violations${existingText})`);
+    process.exit(1);
+  }
+  console.log(`All ${budgets.length} budgets met${existingText}`);
+}
+
+/**
+ * Find the dashboard files in a directory (JSON, gzipped JSON or compact encoding)
+ * @param {string} dir - Directory containing dashboard files
+ * @returns {Array<string>} Paths of the dashboard files, sorted by name
+ */
+function findDashboardFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter(name => /\.(json|json\.gz|ctd)$/.test(name))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Build the time series of a set of builds.
+ * Each build is tagged with `metadata.revision` and `metadata.buildDate` when the dashboard
+ * was generated with --revision and --date, otherwise with its file name and generation date.
+ * @param {Array<string>} files - Dashboard files, one per build
+ * @param {Object} options - {maxHeaders, impactJump, treeJump}
+ * @returns {Object} History output (see JSON_FORMAT.md)
+ */
+function computeHistory(files, options) {
+  const builds = [];
+  const headerIds = new Map(); // path -> index into headerPaths
+  const headerPaths = [];
+
+  for (const file of files) {
+    console.error(`  Reading ${file}...`);
+    let data;
+    try {
+      data = readDashboard(file);
+    } catch (err) {
+      console.error(`  Warning: Skipping ${file}: ${err.message}`);
+      continue;
+    }
+    if (!data.metadata || data.metadata.type !== undefined || !data.includes) {
+      console.error(`  Warning: Skipping ${file}: not a dashboard file`);
+      continue;
+    }
+
+    const stats = computeHeaderStats(data);
+    for (const fileId of stats.keys()) {
+      const headerPath = data.tables.files[fileId];
+      if (!headerIds.has(headerPath)) {
+        headerIds.set(headerPath, headerPaths.length);
+        headerPaths.push(headerPath);
+      }
+    }
+
+    // Rebuild impact in hundredths of a percent, -1 when the header is not in the build
+    const rebuildImpacts = new Int32Array(headerPaths.length).fill(-1);
+    const maxTreeSizes = new Int32Array(headerPaths.length).fill(-1);
+    for (const [fileId, header] of stats) {
+      const headerId = headerIds.get(data.tables.files[fileId]);
+      rebuildImpacts[headerId] = Math.round(header.rebuildPercent * 100);
+      maxTreeSizes[headerId] = header.maxTreeSize;
+    }
+
+    builds.push({
+      revision: data.metadata.revision || path.basename(file).replace(/\.(json|json\.gz|ctd)$/, ''),
+      date: data.metadata.buildDate || data.metadata.generatedAt,
+      file: path.basename(file),
+      totalBuildTime: data.compilationUnits.buildTimes.reduce((a, b) => a + b, 0),
+      totalIncludes: data.metadata.totalIncludes,
+      totalCompilationUnits: data.compilationUnits.names.length,
+      totalUniqueHeaders: data.tables.files.length,
+      rebuildImpacts: rebuildImpacts,
+      maxTreeSizes: maxTreeSizes
+    });
+  }
+
+  builds.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const valueAt = (build, key, headerId) => headerId < build[key].length ? build[key][headerId] : -1;
+
+  // Keep the headers with the highest rebuild impact in any build
+  const peakImpacts = headerPaths.map((_, headerId) =>
+    Math.max(...builds.map(build => valueAt(build, 'rebuildImpacts', headerId))));
+  const tracked = headerPaths.map((_, headerId) => headerId)
+    .sort((a, b) => peakImpacts[b] - peakImpacts[a] || headerPaths[a].localeCompare(headerPaths[b]))
+    .slice(0, options.maxHeaders);
+
+  const headers = {
+    fileIds: tracked.map((_, idx) => idx),
+    rebuildImpacts: tracked.map(headerId => builds.map(build => valueAt(build, 'rebuildImpacts', headerId))),
+    maxTreeSizes: tracked.map(headerId => builds.map(build => valueAt(build, 'maxTreeSizes', headerId)))
+  };
+
+  // Flag the builds where a header's rebuild impact or include tree size went up sharply
+  // compared to the previous build containing it
+  const jumps = { fileIds: [], buildIds: [], kinds: [], before: [], after: [] };
+  tracked.forEach((_, fileId) => {
+    let previous = -1;
+    for (let buildId = 0; buildId < builds.length; buildId++) {
+      if (headers.rebuildImpacts[fileId][buildId] === -1) continue;
+
+      if (previous !== -1) {
+        const impactBefore = headers.rebuildImpacts[fileId][previous];
+        const impactAfter = headers.rebuildImpacts[fileId][buildId];
+        const treeBefore = headers.maxTreeSizes[fileId][previous];
+        const treeAfter = headers.maxTreeSizes[fileId][buildId];
+
+        if (impactAfter - impactBefore >= options.impactJump * 100) {
+          jumps.fileIds.push(fileId);
+          jumps.buildIds.push(buildId);
+          jumps.kinds.push('rebuildImpact');
+          jumps.before.push(impactBefore);
+          jumps.after.push(impactAfter);
+        }
+        if (treeAfter - treeBefore >= MIN_TREE_SIZE_JUMP &&
+            treeAfter >= treeBefore * (1 + options.treeJump / 100)) {
+          jumps.fileIds.push(fileId);
+          jumps.buildIds.push(buildId);
+          jumps.kinds.push('maxTreeSize');
+          jumps.before.push(treeBefore);
+          jumps.after.push(treeAfter);
+        }
+      }
+      previous = buildId;
+    }
+  });
+
+  return {
+    metadata: {
+      type: 'history',
+      version: DASHBOARD_FORMAT_VERSION,
+      generatedAt: new Date().toISOString(),
+      totalBuilds: builds.length,
+      trackedHeaders: tracked.length,
+      impactJump: options.impactJump,
+      treeJump: options.treeJump
+    },
+    builds: {
+      revisions: builds.map(build => build.revision),
+      dates: builds.map(build => build.date),
+      files: builds.map(build => build.file),
+      totalBuildTimes: builds.map(build => build.totalBuildTime),
+      totalIncludes: builds.map(build => build.totalIncludes),
+      totalCompilationUnits: builds.map(build => build.totalCompilationUnits),
+      totalUniqueHeaders: builds.map(build => build.totalUniqueHeaders)
+    },
+    tables: {
+      files: tracked.map(headerId => headerPaths[headerId])
+    },
+    headers: headers,
+    jumps: jumps
+  };
+}
+
+/**
+ * Build a time series from a directory of dashboard files
+ * @param {Array<string>} args - Command line arguments after 'history'
+ */
+function historyMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      headers: 'string',
+      'impact-jump': 'string',
+      'tree-jump': 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (positional.length < 2) {
+    console.error('Usage: node clang-trace-to-dashboard.js history [options] <directory> <output.json>');
+    console.error('');
+    console.error('Builds a time series from a directory of dashboard files, one per build, for the');
+    console.error('dashboard\'s Trends tab. Builds are ordered by the date given with --date when');
+    console.error('generating them, or by generation date.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --headers N             Number of headers to track, by peak rebuild impact (default: 1000)');
+    console.error('  --impact-jump <points>  Flag rebuild impact increases of at least this many');
+    console.error('                          percentage points (default: 5)');
+    console.error('  --tree-jump <percent>   Flag max include tree size increases of at least this');
+    console.error('                          percentage (default: 25)');
+    process.exit(1);
+  }
+
+  const [inputDir, outputFile] = positional;
+  const historyOptions = {
+    maxHeaders: options.headers !== undefined ? parseInt(options.headers, 10) : 1000,
+    impactJump: options['impact-jump'] !== undefined ? parseFloat(options['impact-jump']) : 5,
+    treeJump: options['tree-jump'] !== undefined ? parseFloat(options['tree-jump']) : 25
+  };
+
+  for (const [name, value] of Object.entries(historyOptions)) {
+    if (!(value >= 0)) {
+      console.error(`Error: Invalid value for ${name}`);
+      process.exit(1);
+    }
+  }
+
+  if (!fs.existsSync(inputDir)) {
+    console.error(`Error: Directory '${inputDir}' not found`);
+    process.exit(1);
+  }
+
+  const files = findDashboardFiles(inputDir);
+  console.error(`Found ${files.length} dashboard files in ${inputDir}`);
+
+  const history = computeHistory(files, historyOptions);
+  if (history.metadata.totalBuilds === 0) {
+    console.error('No dashboard files could be read');
+    process.exit(1);
+  }
+
+  console.error(`  Builds: ${history.metadata.totalBuilds}`);
+  console.error(`  Tracked headers: ${history.metadata.trackedHeaders}`);
+  console.error(`  Flagged jumps: ${history.jumps.fileIds.length}`);
+
+  fs.writeFileSync(outputFile, JSON.stringify(history));
+  console.error(`Done! Output file: ${outputFile}`);
+}
+
+// Fill colors of graph nodes by file category
+const GRAPH_CATEGORY_COLORS = {
+  ours: '#bbdefb',
+  sdk: '#e0e0e0',
+  'third-party': '#ffe0b2',
+  generated: '#c8e6c9',
+  cu: '#fff59d'
+};
+
+/**
+ * Check whether a file belongs to the SDK, like isSDKFile() in index.html.
+ * Only used for data files without stored file categories.
+ * @param {string} file - File path
+ * @returns {boolean} True for SDK files of Firefox builds
+ */
+function isSDKFile(file) {
+  return file.includes('/.mozbuild/') ||
+         file.includes('/usr/include/') ||
+         file.includes('/usr/lib/') ||
+         file.startsWith('/usr/') ||
+         file.includes('sysroot-') ||
+         file.includes('/fetches/clang/');
+}
+
+/**
+ * Get the category of a file, from the stored categories if any
+ * @param {Object} data - Dashboard data
+ * @param {number} fileId - Index into tables.files
+ * @returns {string} One of FILE_CATEGORIES
+ */
+function getFileCategory(data, fileId) {
+  if (data.tables.fileCategories) {
+    return data.tables.categories[data.tables.fileCategories[fileId]];
+  }
+  return isSDKFile(data.tables.files[fileId]) ? 'sdk' : 'ours';
+}
+
+/**
+ * Find the header or compilation unit named on the command line: compilation units
+ * by name first, then headers by the end of their path, then compilation units by source file
+ * @param {Object} data - Dashboard data
+ * @param {string} target - Header path, compilation unit name or source file
+ * @returns {Object} {fileId} for a header, {cuId} for a compilation unit
+ * @throws {Error} If nothing matches, or several headers do
+ */
+function resolveTarget(data, target) {
+  const cuId = data.compilationUnits.names.indexOf(target);
+  if (cuId !== -1) {
+    return { cuId };
+  }
+
+  const matches = matchChangedFile(data, target);
+  if (matches.fileIds.length > 1) {
+    const candidates = matches.fileIds.map(fileId => `\n  ${data.tables.files[fileId]}`).join('');
+    throw new Error(`'${target}' matches several headers:${candidates}`);
+  } else if (matches.fileIds.length === 1) {
+    return { fileId: matches.fileIds[0] };
+  } else if (matches.cuIds.length > 0) {
+    return { cuId: matches.cuIds[0] };
+  }
+  throw new Error(`No header or compilation unit matches '${target}'`);
+}
+
+/**
+ * Extract the include graph around a header or a compilation unit.
+ * For a header, edges are aggregated over all CUs; for a CU, only its own includes are used,
+ * and the CU itself is a node including its root includes.
+ * Edges always point from the including file to the included file.
+ * @param {Object} data - Dashboard data
+ * @param {Object} start - {fileId} or {cuId}
+ * @param {Object} options - {direction: 'includees'|'includers', depth, weight: 'count'|'time', maxNodes}
+ * @returns {Object} {nodes: [{id, label, category, isStart}], edges: [{from, to, count, time}]}
+ */
+function buildIncludeGraph(data, start, options) {
+  // Node keys: fileId for files, 'cu' for the compilation unit
+  const edges = new Map(); // "from\0to" -> {from, to, count, time}
+  const cuIds = start.cuId !== undefined ? [start.cuId] : data.includes.fileIds.map((_, cuId) => cuId);
+
+  for (const cuId of cuIds) {
+    const fileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
+    const durations = data.includes.durations[cuId];
+
+    for (let i = 0; i < fileIds.length; i++) {
+      if (parentFileIds[i] === -1 && start.cuId === undefined) continue;
+
+      const from = parentFileIds[i] === -1 ? 'cu' : parentFileIds[i];
+      const key = `${from}\0${fileIds[i]}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { from: from, to: fileIds[i], count: 0, time: 0 };
+        edges.set(key, edge);
+      }
+      edge.count++;
+      edge.time += durations[i];
+    }
+  }
+
+  // Adjacency in the direction of the traversal
+  const neighbors = new Map();
+  for (const edge of edges.values()) {
+    const [node, neighbor] = options.direction === 'includers' ? [edge.to, edge.from] : [edge.from, edge.to];
+    if (!neighbors.has(node)) {
+      neighbors.set(node, []);
+    }
+    neighbors.get(node).push({ neighbor, edge });
+  }
+  for (const list of neighbors.values()) {
+    list.sort((a, b) => b.edge[options.weight] - a.edge[options.weight]);
+  }
+
+  // Breadth-first, following the heaviest edges first until maxNodes is reached
+  const startKey = start.cuId !== undefined ? 'cu' : start.fileId;
+  const included = new Set([startKey]);
+  const graphEdges = new Set();
+  let frontier = [startKey];
+
+  for (let level = 0; level < options.depth && frontier.length > 0; level++) {
+    const nextFrontier = [];
+    for (const node of frontier) {
+      for (const { neighbor, edge } of neighbors.get(node) || []) {
+        if (!included.has(neighbor)) {
+          if (included.size >= options.maxNodes) continue;
+          included.add(neighbor);
+          nextFrontier.push(neighbor);
+        }
+        graphEdges.add(edge);
+      }
+    }
+    frontier = nextFrontier;
+  }
+
+  const nodes = Array.from(included).map(key => key === 'cu' ? {
+    id: key,
+    label: data.compilationUnits.sourceFiles ? data.compilationUnits.sourceFiles[start.cuId] : data.compilationUnits.names[start.cuId],
+    category: 'cu',
+    isStart: true
+  } : {
+    id: key,
+    label: data.tables.files[key],
+    category: getFileCategory(data, key),
+    isStart: key === startKey
+  });
+
+  return { nodes: nodes, edges: Array.from(graphEdges) };
+}
+
+/**
+ * Write an include graph as Graphviz DOT, GraphML or Mermaid
+ * @param {Object} graph - Graph from buildIncludeGraph()
+ * @param {string} format - 'dot', 'graphml' or 'mermaid'
+ * @param {string} weight - Edge weight shown: 'count' or 'time'
+ * @returns {string} The graph in the requested format
+ */
+function formatIncludeGraph(graph, format, weight) {
+  const nodeIds = new Map(graph.nodes.map((node, idx) => [node.id, `n${idx}`]));
+  const formatWeight = edge => weight === 'time' ? formatTime(edge.time) : String(edge.count);
+  const maxWeight = Math.max(1, ...graph.edges.map(edge => edge[weight]));
+  const lines = [];
+
+  if (format === 'dot') {
+    const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    lines.push('digraph includes {');
+    lines.push('  rankdir=LR;');
+    lines.push('  node [shape=box, style=filled, fontname="Helvetica", fontsize=10];');
+    lines.push('  edge [fontname="Helvetica", fontsize=9];');
+    for (const node of graph.nodes) {
+      const border = node.isStart ? ', penwidth=3' : '';
+      lines.push(`  ${nodeIds.get(node.id)} [label=${quote(node.label)}, fillcolor="${GRAPH_CATEGORY_COLORS[node.category]}"${border}];`);
+    }
+    for (const edge of graph.edges) {
+      const penwidth = (1 + (4 * edge[weight]) / maxWeight).toFixed(2);
+      lines.push(`  ${nodeIds.get(edge.from)} -> ${nodeIds.get(edge.to)} [label=${quote(formatWeight(edge))}, penwidth=${penwidth}];`);
+    }
+    lines.push('}');
+  } else if (format === 'graphml') {
+    const escapeXml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push('<graphml xmlns="http://graphml.graphdrawing.org/xmlns">');
+    lines.push('  <key id="label" for="node" attr.name="label" attr.type="string"/>');
+    lines.push('  <key id="category" for="node" attr.name="category" attr.type="string"/>');
+    lines.push('  <key id="color" for="node" attr.name="color" attr.type="string"/>');
+    lines.push('  <key id="count" for="edge" attr.name="count" attr.type="int"/>');
+    lines.push('  <key id="time" for="edge" attr.name="time" attr.type="double"/>');
+    lines.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+    lines.push('  <graph id="includes" edgedefault="directed">');
+    for (const node of graph.nodes) {
+      lines.push(`    <node id="${nodeIds.get(node.id)}">`);
+      lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+      lines.push(`      <data key="category">${escapeXml(node.category)}</data>`);
+      lines.push(`      <data key="color">${GRAPH_CATEGORY_COLORS[node.category]}</data>`);
+      lines.push('    </node>');
+    }
+    graph.edges.forEach((edge, idx) => {
+      lines.push(`    <edge id="e${idx}" source="${nodeIds.get(edge.from)}" target="${nodeIds.get(edge.to)}">`);
+      lines.push(`      <data key="count">${edge.count}</data>`);
+      lines.push(`      <data key="time">${edge.time}</data>`);
+      lines.push(`      <data key="weight">${edge[weight]}</data>`);
+      lines.push('    </edge>');
+    });
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+  } else if (format === 'mermaid') {
+    const quote = text => `"${text.replace(/"/g, '#quot;')}"`;
+    lines.push('graph LR');
+    for (const node of graph.nodes) {
+      lines.push(`  ${nodeIds.get(node.id)}[${quote(node.label)}]`);
+    }
+    for (const edge of graph.edges) {
+      lines.push(`  ${nodeIds.get(edge.from)} -->|${quote(formatWeight(edge))}| ${nodeIds.get(edge.to)}`);
+    }
+    for (const [category, color] of Object.entries(GRAPH_CATEGORY_COLORS)) {
+      const ids = graph.nodes.filter(node => node.category === category).map(node => nodeIds.get(node.id));
+      if (ids.length > 0) {
+        lines.push(`  classDef ${category.replace(/-/g, '_')} fill:${color},stroke:#555`);
+        lines.push(`  class ${ids.join(',')} ${category.replace(/-/g, '_')}`);
+      }
+    }
+    const startIds = graph.nodes.filter(node => node.isStart).map(node => nodeIds.get(node.id));
+    lines.push(`  style ${startIds.join(',')} stroke-width:3px`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the include graph around a header or compilation unit
+ * @param {Array<string>} args - Command line arguments after 'graph'
+ */
+function graphMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      format: 'string',
+      direction: 'string',
+      depth: 'string',
+      weight: 'string',
+      'max-nodes': 'string',
+      output: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const graphOptions = {
+    format: options.format || 'dot',
+    direction: options.direction || 'includees',
+    depth: options.depth !== undefined ? parseInt(options.depth, 10) : 2,
+    weight: options.weight || 'count',
+    maxNodes: options['max-nodes'] !== undefined ? parseInt(options['max-nodes'], 10) : 200
+  };
+
+  if (positional.length < 2 ||
+      !['dot', 'graphml', 'mermaid'].includes(graphOptions.format) ||
+      !['includees', 'includers'].includes(graphOptions.direction) ||
+      !['count', 'time'].includes(graphOptions.weight) ||
+      !(graphOptions.depth >= 1) || !(graphOptions.maxNodes >= 1)) {
+    console.error('Usage: node clang-trace-to-dashboard.js graph [options] <dashboard.json> <header-or-cu>');
+    console.error('');
+    console.error('Exports the include graph around a header or compilation unit. Headers are matched');
+    console.error('by the end of their path, compilation units by name or source file.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --format dot|graphml|mermaid     Output format (default: dot)');
+    console.error('  --direction includees|includers  Follow the files it includes, or the files including it');
+    console.error('                                   (default: includees; CUs only have includees)');
+    console.error('  --depth N                        Number of include levels to follow (default: 2)');
+    console.error('  --weight count|time              Edge weight: number of inclusions, or include time');
+    console.error('                                   (default: count)');
+    console.error('  --max-nodes N                    Maximum number of nodes, heaviest edges first (default: 200)');
+    console.error('  --output <file>                  Write to a file instead of stdout');
+    process.exit(1);
+  }
+
+  const [dashboardFile, target] = positional;
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  const data = readDashboard(dashboardFile);
+
+  let start;
+  try {
+    start = resolveTarget(data, target);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (start.cuId !== undefined && graphOptions.direction === 'includers') {
+    console.error('Error: Compilation units are not included by anything; use --direction includees');
+    process.exit(1);
+  }
+
+  const graph = buildIncludeGraph(data, start, graphOptions);
+  const output = formatIncludeGraph(graph, graphOptions.format, graphOptions.weight);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.error(`Wrote ${graph.nodes.length} nodes and ${graph.edges.length} edges to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Find the include chain through which a compilation unit first included a file.
+ * Includes are sorted by start time, so the include of a parent enclosing an entry is
+ * the last include of that parent before it.
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @param {number} fileId - Index into tables.files
+ * @returns {Array<number>|null} fileIds from a root include of the CU down to the file,
+ *   or null if the CU doesn't include it
+ */
+function findIncludeChain(data, cuId, fileId) {
+  const fileIds = data.includes.fileIds[cuId];
+  const parentFileIds = data.includes.parentFileIds[cuId];
+
+  let idx = fileIds.indexOf(fileId);
+  if (idx === -1) return null;
+
+  const chain = [fileId];
+  while (parentFileIds[idx] !== -1) {
+    const parentId = parentFileIds[idx];
+    idx = idx > 0 ? fileIds.lastIndexOf(parentId, idx - 1) : -1;
+    if (idx === -1) break;
+    chain.unshift(parentId);
+  }
+  return chain;
+}
+
+/**
+ * Build the file-level include graph of a compilation unit
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @returns {Map<number, Set<number>>} parent fileId (-1 for the CU itself) -> included fileIds
+ */
+function buildCUIncludeGraph(data, cuId) {
+  const fileIds = data.includes.fileIds[cuId];
+  const parentFileIds = data.includes.parentFileIds[cuId];
+
+  const children = new Map();
+  for (let i = 0; i < fileIds.length; i++) {
+    if (!children.has(parentFileIds[i])) {
+      children.set(parentFileIds[i], new Set());
+    }
+    children.get(parentFileIds[i]).add(fileIds[i]);
+  }
+  return children;
+}
+
+/**
+ * Find the files a compilation unit still includes when some include edges are removed
+ * @param {Map<number, Set<number>>} graph - Graph from buildCUIncludeGraph()
+ * @param {Set<string>} removedEdges - Removed edges as "parentFileId>fileId"
+ * @returns {Set<number>} fileIds reachable from the CU
+ */
+function findReachableFiles(graph, removedEdges) {
+  const reachable = new Set();
+  const stack = [-1];
+  while (stack.length > 0) {
+    const parentId = stack.pop();
+    for (const fileId of graph.get(parentId) || []) {
+      if (!reachable.has(fileId) && !removedEdges.has(`${parentId}>${fileId}`)) {
+        reachable.add(fileId);
+        stack.push(fileId);
+      }
+    }
+  }
+  return reachable;
+}
+
+/**
+ * Explain why a header is included: the distinct include chains through which compilation
+ * units first include it, and the include edge whose removal drops it from the most of them.
+ * An edge only drops the header from a CU if the CU doesn't reach it through another path.
+ * @param {Object} data - Dashboard data
+ * @param {number} fileId - Index into tables.files of the header
+ * @param {Array<number>} cuIds - Compilation units to look at
+ * @returns {Object} {compilationUnits: Array<number>, chains: [{fileIds, cuIds}] by descending CU count,
+ *   bestCut: {parentFileId, fileId, cuIds} or null if no single edge removes the header from any CU}
+ */
+function explainInclude(data, fileId, cuIds) {
+  const chains = new Map(); // chain key -> {fileIds, cuIds}
+  const cuts = new Map(); // edge key -> {parentFileId, fileId, cuIds}
+  const including = [];
+
+  for (const cuId of cuIds) {
+    const chain = findIncludeChain(data, cuId, fileId);
+    if (!chain) continue;
+    including.push(cuId);
+
+    const key = chain.join('>');
+    if (!chains.has(key)) {
+      chains.set(key, { fileIds: chain, cuIds: [] });
+    }
+    chains.get(key).cuIds.push(cuId);
+
+    // Every edge whose removal disconnects the header is on its first chain. Edges from
+    // the CU itself are not candidates, as they only ever affect one CU.
+    const graph = buildCUIncludeGraph(data, cuId);
+    for (let i = 1; i < chain.length; i++) {
+      const edgeKey = `${chain[i - 1]}>${chain[i]}`;
+      if (findReachableFiles(graph, new Set([edgeKey])).has(fileId)) continue;
+
+      if (!cuts.has(edgeKey)) {
+        cuts.set(edgeKey, { parentFileId: chain[i - 1], fileId: chain[i], cuIds: [] });
+      }
+      cuts.get(edgeKey).cuIds.push(cuId);
+    }
+  }
+
+  let bestCut = null;
+  for (const cut of cuts.values()) {
+    if (!bestCut || cut.cuIds.length > bestCut.cuIds.length) {
+      bestCut = cut;
+    }
+  }
+
+  return {
+    compilationUnits: including,
+    chains: Array.from(chains.values()).sort((a, b) => b.cuIds.length - a.cuIds.length),
+    bestCut: bestCut
+  };
+}
+
+/**
+ * Explain through which include chains a header gets included
+ * @param {Array<string>} args - Command line arguments after 'why'
+ */
+function whyMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      cu: 'string',
+      chains: 'string',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = options.format || 'text';
+  const maxChains = options.chains !== undefined ? parseInt(options.chains, 10) : 10;
+
+  if (positional.length < 2 || !['text', 'json'].includes(format) || !(maxChains >= 1)) {
+    console.error('Usage: node clang-trace-to-dashboard.js why [options] <dashboard.json> <header>');
+    console.error('');
+    console.error('Lists the distinct include chains through which compilation units include a header,');
+    console.error('by number of compilation units, and the include edge whose removal would drop the');
+    console.error('header from the most compilation units.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --cu <name>           Only look at one compilation unit, by name or source file');
+    console.error('  --chains N            Number of chains to list (default: 10)');
+    console.error('  --format text|json    Output format (default: text)');
+    process.exit(1);
+  }
+
+  const [dashboardFile, header] = positional;
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  const data = readDashboard(dashboardFile);
+  const { names, sourceFiles } = data.compilationUnits;
+  const files = data.tables.files;
+
+  let fileId;
+  let cuIds = names.map((_, cuId) => cuId);
+  try {
+    const target = resolveTarget(data, header);
+    if (target.fileId === undefined) {
+      throw new Error(`'${header}' is a compilation unit, not a header`);
+    }
+    fileId = target.fileId;
+
+    if (options.cu) {
+      const cuTarget = resolveTarget(data, options.cu);
+      if (cuTarget.cuId === undefined) {
+        throw new Error(`No compilation unit matches '${options.cu}'`);
+      }
+      cuIds = [cuTarget.cuId];
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const result = explainInclude(data, fileId, cuIds);
+  const cuName = cuId => sourceFiles ? sourceFiles[cuId] : names[cuId];
+
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      header: files[fileId],
+      compilationUnits: result.compilationUnits.length,
+      totalCompilationUnits: cuIds.length,
+      chains: result.chains.slice(0, maxChains).map(chain => ({
+        files: chain.fileIds.map(id => files[id]),
+        compilationUnits: chain.cuIds.map(cuId => names[cuId])
+      })),
+      bestCut: result.bestCut && {
+        includer: files[result.bestCut.parentFileId],
+        included: files[result.bestCut.fileId],
+        compilationUnits: result.bestCut.cuIds.map(cuId => names[cuId])
+      }
+    }, null, 2));
+    return;
+  }
+
+  const count = result.compilationUnits.length;
+  if (count === 0) {
+    console.log(`${files[fileId]} is not included by ${options.cu ? cuName(cuIds[0]) : 'any compilation unit'}`);
+    return;
+  }
+
+  console.log(`${files[fileId]} is included by ${count} of ${cuIds.length} compilation units ` +
+              `through ${result.chains.length} distinct include chain${result.chains.length === 1 ? '' : 's'}`);
+
+  for (const chain of result.chains.slice(0, maxChains)) {
+    console.log('');
+    console.log(`${chain.cuIds.length} CU${chain.cuIds.length === 1 ? '' : 's'} (${((chain.cuIds.length / count) * 100).toFixed(1)}%), e.g. ${cuName(chain.cuIds[0])}:`);
+    console.log(`  ${chain.fileIds.map(id => files[id]).join('\n  -> ')}`);
+  }
+  if (result.chains.length > maxChains) {
+    console.log('');
+    console.log(`... and ${result.chains.length - maxChains} more chains`);
+  }
+
+  console.log('');
+  if (result.bestCut) {
+    const cut = result.bestCut;
+    console.log(`Removing the include of ${files[cut.fileId]}`);
+    console.log(`  from ${files[cut.parentFileId]}`);
+    console.log(`  drops the header from ${cut.cuIds.length} of ${count} compilation units`);
+  } else {
+    console.log('No single include edge between files drops the header from any compilation unit');
+  }
+}
+
+/**
+ * Find the parent include event of each include event in a compilation unit.
+ * Includes are in chronological order, so the parent is the nearest still open include
+ * of the parent file (same as getIncludeParentIndices() in index.html).
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @returns {Array<number>} Index of the parent include event, or -1 for root includes
+ */
+function getIncludeParentIndices(data, cuId) {
+  const fileIds = data.includes.fileIds[cuId];
+  const parentFileIds = data.includes.parentFileIds[cuId];
+  const parents = new Array(fileIds.length);
+  const openIncludes = [];
+
+  for (let i = 0; i < fileIds.length; i++) {
+    const parentId = parentFileIds[i];
+    if (parentId === -1) {
+      openIncludes.length = 0;
+    } else {
+      while (openIncludes.length > 0 && fileIds[openIncludes[openIncludes.length - 1]] !== parentId) {
+        openIncludes.pop();
+      }
+    }
+    parents[i] = openIncludes.length > 0 ? openIncludes[openIncludes.length - 1] : -1;
+    openIncludes.push(i);
+  }
+
+  return parents;
+}
+
+/**
+ * Find the last include event in the subtree of each include event
+ * @param {Array<number>} parents - Parent event indices from getIncludeParentIndices()
+ * @returns {Array<number>} Index of the last event in the subtree of each event
+ */
+function getSubtreeEnds(parents) {
+  const ends = parents.map((_, i) => i);
+  for (let i = parents.length - 1; i >= 0; i--) {
+    if (parents[i] !== -1) {
+      ends[parents[i]] = Math.max(ends[parents[i]], ends[i]);
+    }
+  }
+  return ends;
+}
+
+/**
+ * Compute the self time of each include event: its duration minus the durations of its direct children
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @param {Array<number>} parents - Parent event indices from getIncludeParentIndices()
+ * @returns {Array<number>} Self time of each event, in milliseconds
+ */
+function getSelfTimes(data, cuId, parents) {
+  const selfTimes = data.includes.durations[cuId].slice();
+  for (let i = 0; i < parents.length; i++) {
+    if (parents[i] !== -1) {
+      selfTimes[parents[i]] -= data.includes.durations[cuId][i];
+    }
+  }
+  return selfTimes;
+}
+
+/**
+ * Estimate what a compilation unit saves when some include edges are removed.
+ * The include tree is recomputed without the subtrees of the removed edges; headers still
+ * reachable through other paths stay. An include event disappears if its file is no longer
+ * reachable, its edge is removed or its parent event disappears. The time saved is the self
+ * time of the disappearing events, except for the first inclusion of a file that stays:
+ * its cost moves to another inclusion.
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @param {Set<string>} removedEdges - Removed edges as "parentFileId>fileId"
+ * @returns {Object} {removedIncludes, removedHeaders, timeSaved, includeTime}
+ */
+function estimateEdgeRemoval(data, cuId, removedEdges) {
+  const fileIds = data.includes.fileIds[cuId];
+  const parentFileIds = data.includes.parentFileIds[cuId];
+  const durations = data.includes.durations[cuId];
+
+  const reachable = findReachableFiles(buildCUIncludeGraph(data, cuId), removedEdges);
+  const parents = getIncludeParentIndices(data, cuId);
+  const selfTimes = getSelfTimes(data, cuId, parents);
+
+  const removed = new Array(fileIds.length).fill(false);
+  const seenFiles = new Set();
+  const removedFiles = new Set();
+  let removedIncludes = 0;
+  let timeSaved = 0;
+  let includeTime = 0;
+
+  for (let i = 0; i < fileIds.length; i++) {
+    const isFirst = !seenFiles.has(fileIds[i]);
+    seenFiles.add(fileIds[i]);
+    if (parents[i] === -1) {
+      includeTime += durations[i];
+    }
+
+    removed[i] = !reachable.has(fileIds[i]) ||
+                 removedEdges.has(`${parentFileIds[i]}>${fileIds[i]}`) ||
+                 (parents[i] !== -1 && removed[parents[i]]);
+    if (!removed[i]) continue;
+
+    removedIncludes++;
+    if (!reachable.has(fileIds[i])) {
+      removedFiles.add(fileIds[i]);
+    }
+    if (!isFirst || !reachable.has(fileIds[i])) {
+      timeSaved += selfTimes[i];
+    }
+  }
+
+  return {
+    removedIncludes: removedIncludes,
+    removedHeaders: removedFiles.size,
+    timeSaved: timeSaved,
+    includeTime: includeTime
+  };
+}
+
+/**
+ * Estimate the savings of removing include edges, for every compilation unit that has one of them
+ * @param {Object} data - Dashboard data
+ * @param {Array<Object>} edges - Edges to remove, as {parentFileId, fileId}
+ * @returns {Object} {compilationUnits: [{cuId, removedIncludes, removedHeaders, timeSaved, includeTime}]
+ *   by descending time saved, removedIncludes, timeSaved, totalIncludes, totalIncludeTime}
+ */
+function computeEdgeRemoval(data, edges) {
+  const removedEdges = new Set(edges.map(edge => `${edge.parentFileId}>${edge.fileId}`));
+  const compilationUnits = [];
+  let totalIncludes = 0;
+  let totalIncludeTime = 0;
+
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const fileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
+    totalIncludes += fileIds.length;
+    for (let i = 0; i < fileIds.length; i++) {
+      if (parentFileIds[i] === -1) {
+        totalIncludeTime += data.includes.durations[cuId][i];
+      }
+    }
+
+    const hasEdge = fileIds.some((fileId, i) => removedEdges.has(`${parentFileIds[i]}>${fileId}`));
+    if (!hasEdge) continue;
+
+    compilationUnits.push({ cuId, ...estimateEdgeRemoval(data, cuId, removedEdges) });
+  }
+
+  compilationUnits.sort((a, b) => b.timeSaved - a.timeSaved);
+
+  return {
+    compilationUnits: compilationUnits,
+    removedIncludes: compilationUnits.reduce((sum, cu) => sum + cu.removedIncludes, 0),
+    timeSaved: compilationUnits.reduce((sum, cu) => sum + cu.timeSaved, 0),
+    totalIncludes: totalIncludes,
+    totalIncludeTime: totalIncludeTime
+  };
+}
+
+/**
+ * Estimate what removing include edges would save
+ * @param {Array<string>} args - Command line arguments after 'what-if'
+ */
+function whatIfMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      top: 'string',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = options.format || 'text';
+  const top = options.top !== undefined ? parseInt(options.top, 10) : 20;
+
+  if (positional.length < 2 || !['text', 'json'].includes(format) || !(top >= 0) ||
+      positional.slice(1).some(edge => !edge.includes(':'))) {
+    console.error('Usage: node clang-trace-to-dashboard.js what-if [options] <dashboard.json> <includer>:<included>...');
+    console.error('');
+    console.error('Estimates the includes and include time saved if <includer> stopped including <included>.');
+    console.error('Headers still included through other paths are kept. Files are matched by the end of their path.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --top N               Number of compilation units to list (default: 20)');
+    console.error('  --format text|json    Output format (default: text)');
+    process.exit(1);
+  }
+
+  const [dashboardFile, ...edgeArgs] = positional;
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  const data = readDashboard(dashboardFile);
+  const { names, sourceFiles } = data.compilationUnits;
+  const files = data.tables.files;
+
+  const edges = [];
+  try {
+    for (const edgeArg of edgeArgs) {
+      const separator = edgeArg.lastIndexOf(':');
+      const [includer, included] = [edgeArg.slice(0, separator), edgeArg.slice(separator + 1)].map(file => {
+        const target = resolveTarget(data, file);
+        if (target.fileId === undefined) {
+          throw new Error(`'${file}' is a compilation unit, not an included file`);
+        }
+        return target.fileId;
+      });
+      edges.push({ parentFileId: includer, fileId: included });
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const result = computeEdgeRemoval(data, edges);
+  const cuName = cuId => sourceFiles ? sourceFiles[cuId] : names[cuId];
+
+  if (format === 'json') {
+    console.log(JSON.stringify({
+      edges: edges.map(edge => ({ includer: files[edge.parentFileId], included: files[edge.fileId] })),
+      affectedCompilationUnits: result.compilationUnits.length,
+      totalCompilationUnits: names.length,
+      removedIncludes: result.removedIncludes,
+      totalIncludes: result.totalIncludes,
+      timeSaved: result.timeSaved,
+      totalIncludeTime: result.totalIncludeTime,
+      compilationUnits: result.compilationUnits.map(cu => ({
+        name: names[cu.cuId],
+        removedIncludes: cu.removedIncludes,
+        removedHeaders: cu.removedHeaders,
+        timeSaved: cu.timeSaved,
+        includeTime: cu.includeTime
+      }))
+    }, null, 2));
+    return;
+  }
+
+  const percent = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '0.0%';
+
+  console.log(`Removing ${edges.length} include edge${edges.length === 1 ? '' : 's'}:`);
+  for (const edge of edges) {
+    console.log(`  ${files[edge.parentFileId]}`);
+    console.log(`    -> ${files[edge.fileId]}`);
+  }
+  console.log('');
+
+  if (result.compilationUnits.length === 0) {
+    console.log('No compilation unit has these include edges');
+    return;
+  }
+
+  console.log(`Affected compilation units: ${result.compilationUnits.length} of ${names.length}`);
+  console.log(`Includes removed: ${result.removedIncludes.toLocaleString()} of ${result.totalIncludes.toLocaleString()} (${percent(result.removedIncludes, result.totalIncludes)})`);
+  console.log(`Include time saved (est.): ${formatTime(result.timeSaved)} of ${formatTime(result.totalIncludeTime)} (${percent(result.timeSaved, result.totalIncludeTime)})`);
+
+  if (top > 0) {
+    console.log('');
+    console.log(`Compilation units by time saved${result.compilationUnits.length > top ? ` (top ${top})` : ''}:`);
+    console.log(`  ${'Saved'.padStart(8)}  ${'Includes'.padStart(8)}  ${'Headers'.padStart(7)}  Compilation unit`);
+    for (const cu of result.compilationUnits.slice(0, top)) {
+      console.log(`  ${formatTime(cu.timeSaved).padStart(8)}  ${`-${cu.removedIncludes}`.padStart(8)}  ${`-${cu.removedHeaders}`.padStart(7)}  ${cuName(cu.cuId)}`);
+    }
+  }
+}
+
+/**
+ * Get the path of the main source file of a compilation unit: the recorded source file,
+ * else the first source file it includes (for unified sources), else its name
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @returns {string} Source path
+ */
+function getCUSourcePath(data, cuId) {
+  if (data.compilationUnits.sourceFiles) {
+    return data.compilationUnits.sourceFiles[cuId];
+  }
+  const fileIds = data.includes.fileIds[cuId];
+  const parentFileIds = data.includes.parentFileIds[cuId];
+  for (let i = 0; i < fileIds.length; i++) {
+    if (parentFileIds[i] === -1 && isSourceFile(data.tables.files[fileIds[i]])) {
+      return data.tables.files[fileIds[i]];
+    }
+  }
+  return data.compilationUnits.names[cuId];
+}
+
+/**
+ * Count the commits touching each file in a git checkout since a date
+ * @param {string} repoDir - Directory inside the checkout
+ * @param {string} since - Date understood by `git log --since`
+ * @returns {Map<string, number>} Path relative to the top of the checkout -> number of commits
+ */
+function getGitChangeCounts(repoDir, since) {
+  const output = execFileSync('git', ['log', `--since=${since}`, '--format=', '--name-only'], {
+    cwd: repoDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024
+  });
+
+  const counts = new Map();
+  for (const line of output.split('\n')) {
+    if (line.length > 0) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Look up the number of changes of a build file in counts from getGitChangeCounts(),
+ * by the longest end of its path (at least two components) that is a path in the checkout
+ * @param {Map<string, number>} changeCounts - Changes by checkout path
+ * @param {string} file - Path of the file in the build
+ * @returns {number|null} Number of changes, or null if the file is not in the checkout
+ */
+function lookupChangeCount(changeCounts, file) {
+  const parts = file.split('/').filter(part => part.length > 0);
+  for (let start = 0; start <= parts.length - 2; start++) {
+    const count = changeCounts.get(parts.slice(start).join('/'));
+    if (count !== undefined) {
+      return count;
+    }
+  }
+  return null;
+}
+
+/**
+ * Guess how a header would be spelled in an #include: the part after the last `include`
+ * directory (and the C++ standard library version directory), else the path relative to
+ * a placeholder such as <src>
+ * @param {string} file - Header path
+ * @param {string} category - File category from getFileCategory()
+ * @returns {string} Line for the precompiled header
+ */
+function formatPchInclude(file, category) {
+  let name = file;
+  const includeDir = file.lastIndexOf('/include/');
+  if (includeDir !== -1) {
+    name = file.slice(includeDir + '/include/'.length).replace(/^c\+\+\/[^/]+\//, '');
+  } else {
+    name = file.replace(/^<[a-z-]+>\//, '');
+  }
+  return category === 'sdk' || category === 'third-party' ? `#include <${name}>` : `#include "${name}"`;
+}
+
+/**
+ * Recommend headers to precompile for a set of compilation units.
+ * Candidates are headers (not source files) included by at least options.minCoverage percent
+ * of the compilation units, and stable: SDK or third-party headers, or headers with at most
+ * options.maxChanges commits in changeCounts. They are picked by total include time, skipping
+ * headers that the already picked ones mostly pull in (less than half of their time left).
+ *
+ * The saving in a CU is the self time of every include event in the subtrees of the first
+ * inclusions of the picked headers, not counting the cost of loading the precompiled header.
+ * @param {Object} data - Dashboard data
+ * @param {Array<number>} cuIds - Compilation units sharing the precompiled header
+ * @param {Object} options - {minCoverage, maxHeaders, maxChanges, changeCounts (Map or null)}
+ * @returns {Object} {headers: [{fileId, category, cuCount, saving, averageTime, minTreeSize, maxTreeSize, changes}],
+ *   compilationUnits: [{cuId, saving, includeTime}], saving, includeTime, unstableSkipped}
+ */
+function recommendPch(data, cuIds, options) {
+  const files = data.tables.files;
+
+  const cus = cuIds.map(cuId => {
+    const fileIds = data.includes.fileIds[cuId];
+    const parents = getIncludeParentIndices(data, cuId);
+    const firstIndex = new Map();
+    fileIds.forEach((fileId, i) => {
+      if (!firstIndex.has(fileId)) {
+        firstIndex.set(fileId, i);
+      }
+    });
+    return {
+      cuId: cuId,
+      ends: getSubtreeEnds(parents),
+      selfTimes: getSelfTimes(data, cuId, parents),
+      firstIndex: firstIndex,
+      covered: new Uint8Array(fileIds.length),
+      includeTime: parents.reduce((sum, parent, i) => parent === -1 ? sum + data.includes.durations[cuId][i] : sum, 0)
+    };
+  });
+
+  // Include time and tree size of each header at its first inclusion in each CU
+  const stats = new Map();
+  for (const cu of cus) {
+    const durations = data.includes.durations[cu.cuId];
+    for (const [fileId, first] of cu.firstIndex) {
+      let header = stats.get(fileId);
+      if (!header) {
+        header = { fileId, cuCount: 0, totalTime: 0, minTreeSize: Infinity, maxTreeSize: 0 };
+        stats.set(fileId, header);
+      }
+      const treeSize = cu.ends[first] - first;
+      header.cuCount++;
+      header.totalTime += durations[first];
+      header.minTreeSize = Math.min(header.minTreeSize, treeSize);
+      header.maxTreeSize = Math.max(header.maxTreeSize, treeSize);
+    }
+  }
+
+  let unstableSkipped = 0;
+  const candidates = [];
+  for (const header of stats.values()) {
+    if (isSourceFile(files[header.fileId]) || header.cuCount * 100 < options.minCoverage * cuIds.length) continue;
+
+    header.category = getFileCategory(data, header.fileId);
+    header.changes = options.changeCounts ? lookupChangeCount(options.changeCounts, files[header.fileId]) : null;
+    const isStable = header.category === 'sdk' || header.category === 'third-party' ||
+                     (header.changes !== null && header.changes <= options.maxChanges);
+    if (!isStable) {
+      unstableSkipped++;
+      continue;
+    }
+    candidates.push(header);
+  }
+  candidates.sort((a, b) => b.totalTime - a.totalTime);
+
+  const headers = [];
+  for (const header of candidates) {
+    if (headers.length >= options.maxHeaders) break;
+
+    const cusWithHeader = cus.filter(cu => cu.firstIndex.has(header.fileId));
+    const remainingTime = cu => {
+      const first = cu.firstIndex.get(header.fileId);
+      let time = 0;
+      for (let i = first; i <= cu.ends[first]; i++) {
+        if (!cu.covered[i]) time += cu.selfTimes[i];
+      }
+      return time;
+    };
+    const saving = cusWithHeader.reduce((sum, cu) => sum + remainingTime(cu), 0);
+    if (saving <= 0 || saving < header.totalTime / 2) continue;
+
+    for (const cu of cusWithHeader) {
+      const first = cu.firstIndex.get(header.fileId);
+      cu.covered.fill(1, first, cu.ends[first] + 1);
+    }
+    headers.push({
+      fileId: header.fileId,
+      category: header.category,
+      cuCount: header.cuCount,
+      saving: saving,
+      averageTime: header.totalTime / header.cuCount,
+      minTreeSize: header.minTreeSize,
+      maxTreeSize: header.maxTreeSize,
+      changes: header.changes
+    });
+  }
+
+  const compilationUnits = cus.map(cu => ({
+    cuId: cu.cuId,
+    saving: cu.selfTimes.reduce((sum, time, i) => cu.covered[i] ? sum + time : sum, 0),
+    includeTime: cu.includeTime
+  }));
+
+  return {
+    headers: headers,
+    compilationUnits: compilationUnits,
+    saving: compilationUnits.reduce((sum, cu) => sum + cu.saving, 0),
+    includeTime: compilationUnits.reduce((sum, cu) => sum + cu.includeTime, 0),
+    unstableSkipped: unstableSkipped
+  };
+}
+
+/**
+ * Recommend a precompiled header, for the whole build, a directory or each directory
+ * @param {Array<string>} args - Command line arguments after 'pch'
+ */
+function pchMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      dir: 'string',
+      'per-directory': 'boolean',
+      'min-cus': 'string',
+      'min-coverage': 'string',
+      'max-headers': 'string',
+      repo: 'string',
+      since: 'string',
+      'max-changes': 'string',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = options.format || 'text';
+  const pchOptions = {
+    minCoverage: options['min-coverage'] !== undefined ? parseFloat(options['min-coverage']) : 50,
+    maxHeaders: options['max-headers'] !== undefined ? parseInt(options['max-headers'], 10) : 20,
+    maxChanges: options['max-changes'] !== undefined ? parseInt(options['max-changes'], 10) : 2,
+    changeCounts: null
+  };
+  const minCUs = options['min-cus'] !== undefined ? parseInt(options['min-cus'], 10) : 10;
+
+  if (positional.length < 1 || !['text', 'json'].includes(format) ||
+      !(pchOptions.minCoverage >= 0 && pchOptions.minCoverage <= 100) || !(pchOptions.maxHeaders >= 1) ||
+      !(pchOptions.maxChanges >= 0) || !(minCUs >= 1) || (options.dir && options['per-directory'])) {
+    console.error('Usage: node clang-trace-to-dashboard.js pch [options] <dashboard.json>');
+    console.error('');
+    console.error('Recommends headers to precompile: widely included, expensive and stable ones.');
+    console.error('Only SDK and third-party headers count as stable, unless --repo is given.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --dir <path>          Only consider compilation units in this directory (recursively)');
+    console.error('  --per-directory       Recommend a precompiled header for each directory');
+    console.error('  --min-cus N           With --per-directory, skip directories with fewer CUs (default: 10)');
+    console.error('  --min-coverage P      Minimum percentage of compilation units including a header (default: 50)');
+    console.error('  --max-headers N       Maximum number of headers to recommend (default: 20)');
+    console.error('  --repo <dir>          Git checkout, to also consider rarely changed headers of our code as stable');
+    console.error('  --since <date>        Period in which changes are counted (default: "6 months ago")');
+    console.error('  --max-changes N       Maximum number of commits touching a stable header (default: 2)');
+    console.error('  --format text|json    Output format (default: text)');
+    process.exit(1);
+  }
+
+  const dashboardFile = positional[0];
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  const data = readDashboard(dashboardFile);
+  const files = data.tables.files;
+  const { names } = data.compilationUnits;
+  const since = options.since || '6 months ago';
+
+  if (options.repo) {
     try {
-      entries = fs.readdirSync(currentDir, { withFileTypes: true });
+      pchOptions.changeCounts = getGitChangeCounts(options.repo, since);
     } catch (err) {
+      console.error(`Error: Could not read the git history of '${options.repo}': ${err.stderr ? err.stderr.trim() : err.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Compilation units sharing a precompiled header, by directory of their source file
+  const groups = [];
+  const allCUs = names.map((_, cuId) => cuId);
+  if (options['per-directory']) {
+    const byDirectory = new Map();
+    for (const cuId of allCUs) {
+      const directory = path.posix.dirname(getCUSourcePath(data, cuId));
+      if (directory === '.') continue;
+      if (!byDirectory.has(directory)) {
+        byDirectory.set(directory, []);
+      }
+      byDirectory.get(directory).push(cuId);
+    }
+    for (const [directory, cuIds] of byDirectory) {
+      if (cuIds.length >= minCUs) {
+        groups.push({ name: directory, cuIds });
+      }
+    }
+    groups.sort((a, b) => a.name.localeCompare(b.name));
+  } else if (options.dir) {
+    const pattern = globToRegExp(`${options.dir.replace(/\/+$/, '')}/**`);
+    const cuIds = allCUs.filter(cuId => pattern.test(getCUSourcePath(data, cuId)));
+    if (cuIds.length === 0) {
+      console.error(`Error: No compilation unit is in '${options.dir}'`);
+      process.exit(1);
+    }
+    groups.push({ name: options.dir, cuIds });
+  } else {
+    groups.push({ name: null, cuIds: allCUs });
+  }
+
+  const results = groups.map(group => ({ ...group, ...recommendPch(data, group.cuIds, pchOptions) }));
+
+  if (format === 'json') {
+    console.log(JSON.stringify(results.map(result => ({
+      directory: result.name,
+      compilationUnits: result.cuIds.length,
+      saving: result.saving,
+      includeTime: result.includeTime,
+      headers: result.headers.map(header => ({
+        file: files[header.fileId],
+        include: formatPchInclude(files[header.fileId], header.category),
+        category: header.category,
+        compilationUnits: header.cuCount,
+        saving: header.saving,
+        averageTime: header.averageTime,
+        minTreeSize: header.minTreeSize,
+        maxTreeSize: header.maxTreeSize,
+        changes: header.changes
+      })),
+      savingPerCU: result.compilationUnits.map(cu => ({
+        name: names[cu.cuId],
+        saving: cu.saving,
+        includeTime: cu.includeTime
+      }))
+    })), null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log(`No directory has ${minCUs} or more compilation units`);
+    return;
+  }
+
+  const percent = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '0.0%';
+
+  results.forEach((result, idx) => {
+    if (idx > 0) {
+      console.log('');
+      console.log('='.repeat(60));
+      console.log('');
+    }
+
+    const scope = result.name ? `in ${result.name}` : 'in the build';
+    console.log(`Precompiled header for ${result.cuIds.length} compilation units ${scope}`);
+
+    if (result.headers.length === 0) {
+      console.log('');
+      console.log(`No header is included by ${pchOptions.minCoverage}% of them and stable`);
       return;
     }
 
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
+    console.log('');
+    console.log(`  ${'Saved'.padStart(8)}  ${'Per CU'.padStart(8)}  ${'CUs'.padStart(6)}  Header`);
+    for (const header of result.headers) {
+      console.log(`  ${formatTime(header.saving).padStart(8)}  ${formatTime(header.averageTime).padStart(8)}  ` +
+                  `${percent(header.cuCount, result.cuIds.length).padStart(6)}  ${files[header.fileId]}`);
+    }
 
-      if (entry.isDirectory()) {
-        walk(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.json')) {
-        const baseName = entry.name.slice(0, -5);
-        const oFile = path.join(currentDir, baseName + '.o');
+    const savings = result.compilationUnits.map(cu => cu.saving);
+    console.log('');
+    console.log(`Estimated include time saved: ${formatTime(result.saving)} of ${formatTime(result.includeTime)} ` +
+                `(${percent(result.saving, result.includeTime)}), before the cost of loading the precompiled header`);
+    console.log(`Per compilation unit: ${formatTime(result.saving / result.cuIds.length)} on average, ` +
+                `${formatTime(Math.min(...savings))} to ${formatTime(Math.max(...savings))}`);
 
-        if (fs.existsSync(oFile)) {
-          results.push(fullPath);
-        }
+    // Headers whose include tree differs between CUs probably depend on macros defined before them
+    const varying = result.headers.filter(header => header.maxTreeSize > header.minTreeSize * 1.1 + 1);
+    if (varying.length > 0) {
+      console.log('');
+      console.log('Warning: these headers include different trees in different compilation units, so their');
+      console.log('contents may depend on macros defined before them. Check that precompiling them is safe:');
+      for (const header of varying) {
+        console.log(`  ${files[header.fileId]} (${header.minTreeSize} to ${header.maxTreeSize} headers)`);
       }
     }
-  }
+    if (result.unstableSkipped > 0 && !options.repo) {
+      console.log('');
+      console.log(`Skipped ${result.unstableSkipped} widely included headers of our code; use --repo to consider the rarely changed ones.`);
+    }
 
-  walk(dir);
-  return results;
+    console.log('');
+    console.log('Precompiled header:');
+    for (const header of result.headers) {
+      console.log(formatPchInclude(files[header.fileId], header.category));
+    }
+  });
 }
 
+// Questions answered by the query command, and the sort orders of `query headers`
+const QUERY_QUESTIONS = ['headers', 'includers', 'tree', 'cus'];
+const QUERY_SORT_KEYS = {
+  impact: 'rebuildTime',
+  count: 'includeCount',
+  tree: 'maxTreeSize'
+};
+
 /**
- * Extract ExecuteCompiler duration from trace events
- * @param {Object} traceData - The parsed Clang trace JSON
- * @returns {number} Duration in microseconds, or 0 if not found
+ * Check a file against the SDK filter modes of the dashboard's Headers view
+ * @param {string} sdkMode - 'none' (hide SDK files), 'direct' (only SDK files included by our code) or 'all'
+ * @param {boolean} isSDK - Whether the file belongs to the SDK
+ * @param {boolean} directlyIncludedByOurCode - Whether our code includes the file
+ * @returns {boolean} True if the file is shown
  */
-function extractExecuteCompilerDuration(traceData) {
-  const events = traceData.traceEvents || [];
+function passesSDKFilter(sdkMode, isSDK, directlyIncludedByOurCode) {
+  if (sdkMode === 'none') return !isSDK;
+  if (sdkMode === 'direct') return !isSDK || directlyIncludedByOurCode;
+  return true;
+}
 
-  const executeCompilerBegin = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'B');
-  const executeCompilerEnd = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'E');
+/**
+ * Format query results as an aligned table, CSV, JSON or a Markdown table.
+ * CSV and JSON hold the raw values (times in milliseconds), the others the formatted ones.
+ * @param {Array<Object>} columns - {key, title, value: row => raw value, text: row => string, numeric}
+ * @param {Array<Object>} rows - Result rows
+ * @param {string} format - 'table', 'csv', 'json' or 'markdown'
+ * @returns {string} Formatted results
+ */
+function formatQueryResult(columns, rows, format) {
+  if (format === 'json') {
+    return JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column.key, column.value(row)]))), null, 2);
+  }
 
-  if (executeCompilerBegin && executeCompilerEnd) {
-    return executeCompilerEnd.ts - executeCompilerBegin.ts;
+  if (format === 'csv') {
+    const quote = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    return [columns.map(column => quote(column.title)),
+      ...rows.map(row => columns.map(column => quote(column.value(row))))].map(cells => cells.join(',')).join('\n');
   }
 
-  // Fallback: use 'X' (complete) event format
-  const executeCompilerComplete = events.find(e => e.name === 'ExecuteCompiler' && e.ph === 'X');
-  if (executeCompilerComplete && executeCompilerComplete.dur) {
-    return executeCompilerComplete.dur;
+  const cells = rows.map(row => columns.map(column => column.text ? column.text(row) : String(column.value(row))));
+
+  if (format === 'markdown') {
+    // Leading spaces (tree indentation) would be trimmed from the cells
+    const escape = text => text.replace(/\|/g, '\\|').replace(/^ +/, spaces => '&nbsp;'.repeat(spaces.length));
+    return [`| ${columns.map(column => column.title).join(' | ')} |`,
+      `|${columns.map(column => column.numeric ? '---:' : ':---').join('|')}|`,
+      ...cells.map(row => `| ${row.map(escape).join(' | ')} |`)].join('\n');
   }
 
-  return 0;
+  const widths = columns.map((column, idx) => Math.max(column.title.length, ...cells.map(row => row[idx].length)));
+  const pad = (text, idx) => idx === columns.length - 1 ? text :
+    columns[idx].numeric ? text.padStart(widths[idx]) : text.padEnd(widths[idx]);
+  return [columns.map(column => column.title), ...cells].map(row => row.map(pad).join('  ').trimEnd()).join('\n');
 }
 
 /**
- * Parse Clang trace events and extract Source markers with timestamps and durations.
- * @param {Object} traceData - The parsed Clang trace JSON
- * @returns {Array} Array of {file, startTime, endTime, duration} objects
+ * Find the files that directly include a header, like getDirectIncluders() in index.html
+ * @param {Object} data - Dashboard data
+ * @param {number} fileId - Index into tables.files
+ * @returns {Map} includer fileId -> {includeCount, affectedCUs: Set, rebuildTime}
  */
-function extractSourceMarkers(traceData) {
-  const events = traceData.traceEvents || [];
+function findDirectIncluders(data, fileId) {
+  const includers = new Map();
 
-  const sourceEvents = events.filter(e => e.cat === 'Source' && e.name === 'Source');
-  const beginEvents = sourceEvents.filter(e => e.ph === 'b' && e.args && e.args.detail);
-  const endEvents = sourceEvents.filter(e => e.ph === 'e');
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const fileIds = data.includes.fileIds[cuId];
+    const parentFileIds = data.includes.parentFileIds[cuId];
 
-  const intervals = [];
-  const endMap = new Map();
+    for (let i = 0; i < fileIds.length; i++) {
+      if (fileIds[i] !== fileId || parentFileIds[i] === -1) continue;
 
-  // Index end events by their key
-  for (const endEvent of endEvents) {
-    const key = `${endEvent.pid}-${endEvent.tid}-${endEvent.id}`;
-    if (!endMap.has(key)) {
-      endMap.set(key, []);
+      let includer = includers.get(parentFileIds[i]);
+      if (!includer) {
+        includer = { includeCount: 0, affectedCUs: new Set(), rebuildTime: 0 };
+        includers.set(parentFileIds[i], includer);
+      }
+      includer.includeCount++;
+      if (!includer.affectedCUs.has(cuId)) {
+        includer.affectedCUs.add(cuId);
+        includer.rebuildTime += data.compilationUnits.buildTimes[cuId];
+      }
     }
-    endMap.get(key).push(endEvent);
   }
 
-  // Match each begin with its corresponding end
-  for (const beginEvent of beginEvents) {
-    const key = `${beginEvent.pid}-${beginEvent.tid}-${beginEvent.id}`;
-    const endCandidates = endMap.get(key) || [];
+  return includers;
+}
 
-    const matchingEnd = endCandidates.find(e => e.ts > beginEvent.ts);
+/**
+ * List the include events of a compilation unit as an indented tree, in include order.
+ * Files hidden by the SDK filter are dropped with their subtrees; with a name filter,
+ * only matching files and the includes leading to them are kept.
+ * @param {Object} data - Dashboard data
+ * @param {number} cuId - Compilation unit index
+ * @param {Object} options - {sdkMode, matches: file => boolean, maxDepth}
+ * @returns {Array<Object>} {fileId, depth, duration, treeSize} for each shown include
+ */
+function listCUIncludeTree(data, cuId, options) {
+  const fileIds = data.includes.fileIds[cuId];
+  const durations = data.includes.durations[cuId];
+  const parents = getIncludeParentIndices(data, cuId);
+  const ends = getSubtreeEnds(parents);
+  const isSDK = fileId => getFileCategory(data, fileId) === 'sdk';
 
-    if (matchingEnd) {
-      intervals.push({
-        file: beginEvent.args.detail,
-        startTime: beginEvent.ts,
-        endTime: matchingEnd.ts,
-        duration: matchingEnd.ts - beginEvent.ts
-      });
+  const depths = new Array(fileIds.length);
+  const shown = new Array(fileIds.length);
+  for (let i = 0; i < fileIds.length; i++) {
+    const parent = parents[i];
+    depths[i] = parent === -1 ? 0 : depths[parent] + 1;
+    const includedByOurCode = parent === -1 || !isSDK(fileIds[parent]);
+    shown[i] = (parent === -1 || shown[parent]) && depths[i] < options.maxDepth &&
+      passesSDKFilter(options.sdkMode, isSDK(fileIds[i]), includedByOurCode);
+  }
 
-      const idx = endCandidates.indexOf(matchingEnd);
-      if (idx !== -1) {
-        endCandidates.splice(idx, 1);
-      }
+  // Keep the includes leading to matching files (children come after their parents)
+  const kept = shown.map((isShown, i) => isShown && options.matches(data.tables.files[fileIds[i]]));
+  for (let i = fileIds.length - 1; i >= 0; i--) {
+    if (kept[i] && parents[i] !== -1) {
+      kept[parents[i]] = true;
     }
   }
 
-  return intervals;
+  return fileIds.flatMap((fileId, i) => kept[i] ?
+    [{ fileId, depth: depths[i], duration: durations[i], treeSize: ends[i] - i }] : []);
 }
 
 /**
- * Build include hierarchy from intervals based on timestamp containment
- * @param {Array} intervals - Array of interval objects
- * @returns {Array} Array with parent relationships added
+ * Find the compilation units including a header
+ * @param {Object} data - Dashboard data
+ * @param {number} fileId - Index into tables.files
+ * @returns {Array<Object>} {cuId, entries, maxTreeSize, includeTime} for each compilation unit, by build time
  */
-function buildIncludeHierarchy(intervals) {
-  const result = [];
-
-  for (const interval of intervals) {
-    // Find the immediate parent (smallest interval that contains this one)
-    let immediateParent = null;
-    let smallestParentDuration = Infinity;
-
-    for (const other of intervals) {
-      if (other !== interval &&
-          other.startTime <= interval.startTime &&
-          other.endTime >= interval.endTime) {
-        // This interval contains our interval
-        if (other.duration < smallestParentDuration) {
-          immediateParent = other;
-          smallestParentDuration = other.duration;
-        }
+function findIncludingCUs(data, fileId) {
+  const results = [];
+
+  for (let cuId = 0; cuId < data.includes.fileIds.length; cuId++) {
+    const fileIds = data.includes.fileIds[cuId];
+    if (!fileIds.includes(fileId)) continue;
+
+    const ends = getSubtreeEnds(getIncludeParentIndices(data, cuId));
+    const result = { cuId, entries: 0, maxTreeSize: 0, includeTime: 0 };
+    for (let i = 0; i < fileIds.length; i++) {
+      if (fileIds[i] !== fileId) continue;
+      result.entries++;
+      result.maxTreeSize = Math.max(result.maxTreeSize, ends[i] - i);
+      result.includeTime += data.includes.durations[cuId][i];
+    }
+    results.push(result);
+  }
+
+  return results.sort((a, b) => data.compilationUnits.buildTimes[b.cuId] - data.compilationUnits.buildTimes[a.cuId]);
+}
+
+/**
+ * Answer the questions of the dashboard from the command line
+ * @param {Array<string>} args - Command line arguments after 'query'
+ */
+function queryMain(args) {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(args, {
+      top: 'string',
+      sort: 'string',
+      filter: 'string',
+      regex: 'string',
+      sdk: 'string',
+      depth: 'string',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const [dashboardFile, question, target] = positional;
+  const format = options.format || 'table';
+  const sort = options.sort || 'impact';
+  const top = options.top !== undefined ? parseInt(options.top, 10) : 20;
+  const maxDepth = options.depth !== undefined ? parseInt(options.depth, 10) : Infinity;
+  // The Headers view hides SDK files by default; the other views show everything
+  const sdkMode = options.sdk || (question === 'headers' ? 'none' : 'all');
+
+  if (positional.length !== (question === 'headers' ? 2 : 3) || !QUERY_QUESTIONS.includes(question) ||
+      !['table', 'csv', 'json', 'markdown'].includes(format) || !QUERY_SORT_KEYS[sort] ||
+      !['none', 'direct', 'all'].includes(sdkMode) || !(top >= 0) || !(maxDepth >= 1)) {
+    console.error('Usage: node clang-trace-to-dashboard.js query [options] <dashboard.json> headers');
+    console.error('       node clang-trace-to-dashboard.js query [options] <dashboard.json> includers <header>');
+    console.error('       node clang-trace-to-dashboard.js query [options] <dashboard.json> tree <cu>');
+    console.error('       node clang-trace-to-dashboard.js query [options] <dashboard.json> cus <header>');
+    console.error('');
+    console.error('Answers the questions of the dashboard from the command line:');
+    console.error('  headers               Top headers by rebuild impact, include count or include tree size');
+    console.error('  includers <header>    Files directly including a header');
+    console.error('  tree <cu>             Include tree of a compilation unit');
+    console.error('  cus <header>          Compilation units including a header');
+    console.error('');
+    console.error('Options:');
+    console.error('  --top N               Number of rows to list, 0 for all (default: 20, all for tree)');
+    console.error('  --sort <order>        Order of headers: impact (rebuild impact), count (include count)');
+    console.error('                        or tree (max include tree size) (default: impact)');
+    console.error('  --filter <glob>       Only list files matching the glob (end of the path, e.g. "mozilla/dom/*.h")');
+    console.error('  --regex <regex>       Only list files matching the regular expression');
+    console.error('  --sdk <mode>          SDK files to list: none, direct (only those included by our code)');
+    console.error('                        or all (default: none for headers, all otherwise)');
+    console.error('  --depth N             Maximum depth of the include tree');
+    console.error('  --format <format>     Output format: table, csv, json or markdown (default: table)');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dashboardFile)) {
+    console.error(`Error: File '${dashboardFile}' not found`);
+    process.exit(1);
+  }
+
+  let regex = null;
+  try {
+    regex = options.regex !== undefined ? new RegExp(options.regex) : null;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  const glob = options.filter !== undefined ? globToRegExp(options.filter) : null;
+  const matches = file => (!glob || glob.test(file)) && (!regex || regex.test(file));
+
+  const data = readDashboard(dashboardFile);
+  const files = data.tables.files;
+  const { names, sourceFiles } = data.compilationUnits;
+  const cuName = cuId => sourceFiles ? sourceFiles[cuId] : names[cuId];
+
+  let resolved = null;
+  if (target !== undefined) {
+    try {
+      resolved = resolveTarget(data, target);
+      if (question === 'tree' && resolved.cuId === undefined) {
+        throw new Error(`'${target}' is an included file, not a compilation unit`);
+      }
+      if (question !== 'tree' && resolved.fileId === undefined) {
+        throw new Error(`'${target}' is a compilation unit, not an included file`);
       }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
     }
+  }
 
-    result.push({
-      file: interval.file,
-      startTime: interval.startTime,
-      endTime: interval.endTime,
-      duration: interval.duration,
-      parentFile: immediateParent ? immediateParent.file : null
-    });
+  const percent = value => `${value.toFixed(1)}%`;
+  // Raw values for CSV and JSON, without the noise of floating point sums
+  const roundPercent = value => Math.round(value * 10) / 10;
+  const roundTime = ms => Number(ms.toFixed(data.metadata.timeDecimals));
+  const totalBuildTime = data.compilationUnits.buildTimes.reduce((a, b) => a + b, 0);
+  const limit = rows => question !== 'tree' && top > 0 ? rows.slice(0, top) : rows;
+  let columns, rows;
+
+  if (question === 'headers') {
+    const headerStats = computeHeaderStats(data);
+    const sortKey = QUERY_SORT_KEYS[sort];
+    rows = Array.from(headerStats.entries())
+      .filter(([fileId, header]) => matches(files[fileId]) &&
+        passesSDKFilter(sdkMode, header.isSDK, header.directlyIncludedByOurCode))
+      .map(([fileId, header]) => ({ fileId, ...header }))
+      .sort((a, b) => b[sortKey] - a[sortKey]);
+    columns = [
+      { key: 'rebuildPercent', title: 'Impact', value: row => roundPercent(row.rebuildPercent), text: row => percent(row.rebuildPercent), numeric: true },
+      { key: 'rebuildTime', title: 'Rebuild', value: row => roundTime(row.rebuildTime), text: row => formatTime(row.rebuildTime), numeric: true },
+      { key: 'includeCount', title: 'Includes', value: row => row.includeCount, numeric: true },
+      { key: 'compilationUnits', title: 'CUs', value: row => row.affectedCUs.size, numeric: true },
+      { key: 'maxTreeSize', title: 'Tree size', value: row => row.maxTreeSize, numeric: true },
+      { key: 'header', title: 'Header', value: row => files[row.fileId] }
+    ];
+  } else if (question === 'includers') {
+    const headerStats = computeHeaderStats(data);
+    rows = Array.from(findDirectIncluders(data, resolved.fileId).entries())
+      .filter(([fileId]) => matches(files[fileId]) &&
+        passesSDKFilter(sdkMode, headerStats.get(fileId).isSDK, headerStats.get(fileId).directlyIncludedByOurCode))
+      .map(([fileId, includer]) => ({ fileId, ...includer }))
+      .sort((a, b) => b.rebuildTime - a.rebuildTime);
+    const rebuildPercent = row => totalBuildTime > 0 ? (row.rebuildTime / totalBuildTime) * 100 : 0;
+    columns = [
+      { key: 'rebuildPercent', title: 'Impact', value: row => roundPercent(rebuildPercent(row)),
+        text: row => percent(rebuildPercent(row)), numeric: true },
+      { key: 'includeCount', title: 'Includes', value: row => row.includeCount, numeric: true },
+      { key: 'compilationUnits', title: 'CUs', value: row => row.affectedCUs.size, numeric: true },
+      { key: 'includer', title: 'Includer', value: row => files[row.fileId] }
+    ];
+  } else if (question === 'tree') {
+    rows = listCUIncludeTree(data, resolved.cuId, { sdkMode, matches, maxDepth });
+    columns = [
+      { key: 'duration', title: 'Time', value: row => roundTime(row.duration), text: row => formatTime(row.duration), numeric: true },
+      { key: 'treeSize', title: 'Tree size', value: row => row.treeSize, numeric: true },
+      { key: 'depth', title: 'Depth', value: row => row.depth, numeric: true },
+      { key: 'file', title: 'Include', value: row => files[row.fileId], text: row => `${'  '.repeat(row.depth)}${files[row.fileId]}` }
+    ];
+  } else {
+    rows = findIncludingCUs(data, resolved.fileId).filter(row => matches(cuName(row.cuId)));
+    columns = [
+      { key: 'buildTime', title: 'Build', value: row => roundTime(data.compilationUnits.buildTimes[row.cuId]),
+        text: row => formatTime(data.compilationUnits.buildTimes[row.cuId]), numeric: true },
+      { key: 'includeTime', title: 'Include', value: row => roundTime(row.includeTime), text: row => formatTime(row.includeTime), numeric: true },
+      { key: 'entries', title: 'Entries', value: row => row.entries, numeric: true },
+      { key: 'maxTreeSize', title: 'Tree size', value: row => row.maxTreeSize, numeric: true },
+      { key: 'compilationUnit', title: 'Compilation unit', value: row => cuName(row.cuId) }
+    ];
   }
 
-  return result;
+  console.log(formatQueryResult(columns, limit(rows), format));
 }
 
 /**
  * Main processing function
  */
-function main() {
-  if (process.argv.length < 4) {
-    console.error('Usage: node clang-trace-to-dashboard.js <directory> <output.json>');
+async function main() {
+  if (process.argv[2] === 'diff') {
+    diffMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'affected') {
+    affectedMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'check') {
+    checkMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'history') {
+    historyMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'graph') {
+    graphMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'why') {
+    whyMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'what-if') {
+    whatIfMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'pch') {
+    pchMain(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === 'query') {
+    queryMain(process.argv.slice(3));
+    return;
+  }
+
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(process.argv.slice(2), {
+      jobs: 'string',
+      cache: 'string',
+      'compile-commands': 'string',
+      config: 'string',
+      compact: 'boolean',
+      srcdir: 'string',
+      objdir: 'string',
+      sysroot: 'string',
+      revision: 'string',
+      date: 'string',
+      precision: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const compileCommandsFile = options['compile-commands'];
+
+  if (positional.length < (compileCommandsFile ? 1 : 2)) {
+    console.error('Usage: node clang-trace-to-dashboard.js [options] <directory> <output.json>');
+    console.error('       node clang-trace-to-dashboard.js [options] --compile-commands <compile_commands.json> <output.json>');
+    console.error('       node clang-trace-to-dashboard.js diff <old.json> <new.json> <output.json>');
+    console.error('       node clang-trace-to-dashboard.js affected [options] <dashboard.json> [files...]');
+    console.error('       node clang-trace-to-dashboard.js check [options] <dashboard.json> <budgets.json>');
+    console.error('       node clang-trace-to-dashboard.js history [options] <directory> <output.json>');
+    console.error('       node clang-trace-to-dashboard.js graph [options] <dashboard.json> <header-or-cu>');
+    console.error('       node clang-trace-to-dashboard.js why [options] <dashboard.json> <header>');
+    console.error('       node clang-trace-to-dashboard.js what-if [options] <dashboard.json> <includer>:<included>...');
+    console.error('       node clang-trace-to-dashboard.js pch [options] <dashboard.json>');
+    console.error('       node clang-trace-to-dashboard.js query [options] <dashboard.json> <headers|includers|tree|cus> [target]');
     console.error('');
     console.error('Converts Clang -ftime-trace JSON files to efficient dashboard format.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --jobs N                   Process trace files in N worker threads (default: 1)');
+    console.error('  --cache <cache.json>       Reuse the results of unchanged trace files from a previous run');
+    console.error('  --compile-commands <file>  Find trace files from compile_commands.json instead of');
+    console.error('                             searching a directory, and record source and output paths');
+    console.error('  --compact                  Write the compact encoding (varint-packed arrays, gzipped)');
+    console.error('                             instead of JSON');
+    console.error('  --config <config.json>     Path prefixes to replace and file classification rules');
+    console.error('  --srcdir <dir>             Replace the <dir>/ prefix of paths with <src>/');
+    console.error('  --objdir <dir>             Replace the <dir>/ prefix of paths with <obj>/');
+    console.error('  --sysroot <dir>            Replace the <dir>/ prefix of paths with <sysroot>/');
+    console.error('  --revision <rev>           Record the source revision of the build, for `history`');
+    console.error('  --date <date>              Record the date of the build (ISO 8601), for `history`');
+    console.error('  --precision <unit>         Unit of the stored times: ms, 100us, 10us or us (default: ms).');
+    console.error('                             Finer units keep the cost of sub-millisecond headers');
     process.exit(1);
   }
 
-  const inputDir = process.argv[2];
-  const outputFile = process.argv[3];
+  const inputDir = compileCommandsFile ? null : positional[0];
+  const outputFile = compileCommandsFile ? positional[0] : positional[1];
+  const jobs = options.jobs !== undefined ? parseInt(options.jobs, 10) : 1;
 
-  if (!fs.existsSync(inputDir)) {
-    console.error(`Error: Directory '${inputDir}' not found`);
+  if (!(jobs >= 1) || (options.jobs !== undefined && !/^\d+$/.test(options.jobs))) {
+    console.error(`Error: Invalid number of jobs '${options.jobs}'`);
+    process.exit(1);
+  }
+
+  const timeUnit = options.precision || 'ms';
+  if (TIME_UNITS[timeUnit] === undefined) {
+    console.error(`Error: Invalid precision '${options.precision}', expected ${Object.keys(TIME_UNITS).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (options.date !== undefined && isNaN(new Date(options.date))) {
+    console.error(`Error: Invalid date '${options.date}'`);
     process.exit(1);
   }
 
-  console.error(`Searching for .json files with matching .o files in ${inputDir}...`);
-  const jsonFiles = findMatchingJsonFiles(inputDir);
-  console.error(`Found ${jsonFiles.length} matching JSON files`);
+  if (options.config && !fs.existsSync(options.config)) {
+    console.error(`Error: File '${options.config}' not found`);
+    process.exit(1);
+  }
 
-  if (jsonFiles.length === 0) {
-    console.error('No matching .json/.o file pairs found');
+  let config;
+  try {
+    config = readConversionConfig(options.config, options);
+  } catch (err) {
+    console.error(`Error: Invalid config: ${err.message}`);
     process.exit(1);
   }
 
+  // Compilation units: trace file, plus source and output paths when known
+  let units;
+
+  if (compileCommandsFile) {
+    if (!fs.existsSync(compileCommandsFile)) {
+      console.error(`Error: File '${compileCommandsFile}' not found`);
+      process.exit(1);
+    }
+
+    console.error(`Reading compile commands from ${compileCommandsFile}...`);
+    units = findTracesFromCompileCommands(compileCommandsFile);
+    console.error(`Found ${units.length} trace files`);
+
+    if (units.length === 0) {
+      console.error('No trace files found for the compile commands');
+      process.exit(1);
+    }
+  } else {
+    if (!fs.existsSync(inputDir)) {
+      console.error(`Error: Directory '${inputDir}' not found`);
+      process.exit(1);
+    }
+
+    console.error(`Searching for .json files with matching .o files in ${inputDir}...`);
+    units = findMatchingJsonFiles(inputDir).map(traceFile => ({ traceFile }));
+    console.error(`Found ${units.length} matching JSON files`);
+
+    if (units.length === 0) {
+      console.error('No matching .json/.o file pairs found');
+      process.exit(1);
+    }
+  }
+
+  const jsonFiles = units.map(unit => unit.traceFile);
+
   // Data structures for building the output
   const compilationUnitsData = []; // [{name, buildTime, includes: [...]}]
   const fileUsageCount = new Map(); // file -> count
+  const detailUsageCount = new Map(); // event detail -> count
 
-  console.error('Processing files...');
-  let processedCount = 0;
+  // Reuse cached results of traces whose size and mtime did not change
+  const outcomes = new Array(jsonFiles.length);
+  const cache = options.cache ? readTraceCache(options.cache) : new Map();
+  const newCache = new Map();
+  const toProcess = [];
 
-  for (const jsonFile of jsonFiles) {
-    try {
-      const traceData = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
-      const intervals = extractSourceMarkers(traceData);
+  for (let idx = 0; idx < jsonFiles.length; idx++) {
+    const stat = fs.statSync(jsonFiles[idx]);
+    const key = path.resolve(jsonFiles[idx]);
+    const entry = cache.get(key);
+
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+      outcomes[idx] = { result: unpackTraceResult(entry.result) };
+      newCache.set(key, entry);
+    } else {
+      toProcess.push({ idx, key, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+
+  if (options.cache) {
+    const currentKeys = new Set(jsonFiles.map(jsonFile => path.resolve(jsonFile)));
+    const droppedCount = Array.from(cache.keys()).filter(key => !currentKeys.has(key)).length;
+    console.error(`Reusing ${newCache.size} cached results, dropping ${droppedCount} deleted traces`);
+  }
+
+  console.error(jobs > 1 ? `Processing ${toProcess.length} files with ${jobs} jobs...` : `Processing ${toProcess.length} files...`);
+  const processed = await processTraceFiles(toProcess.map(({ idx }) => jsonFiles[idx]), jobs, finishedCount => {
+    if (finishedCount % 100 === 0) {
+      console.error(`  Processed ${finishedCount}/${toProcess.length} files...`);
+    }
+  });
+
+  for (let k = 0; k < toProcess.length; k++) {
+    const { idx, key, size, mtimeMs } = toProcess[k];
+    outcomes[idx] = processed[k];
+
+    // Failed traces are not cached, so they are retried on the next run
+    if (processed[k].error === undefined) {
+      newCache.set(key, { size, mtimeMs, result: packTraceResult(processed[k].result) });
+    }
+  }
+
+  if (options.cache) {
+    writeTraceCache(options.cache, newCache);
+  }
 
-      if (intervals.length === 0) continue;
+  // Merge results in trace file order, so that ties in the frequency-sorted
+  // tables are broken the same way whatever the number of jobs
+  let processedCount = 0;
 
-      const includesWithHierarchy = buildIncludeHierarchy(intervals);
+  for (let idx = 0; idx < jsonFiles.length; idx++) {
+    const { result: cu, error } = outcomes[idx];
 
-      // Sort by start time (chronological order)
-      includesWithHierarchy.sort((a, b) => a.startTime - b.startTime);
+    if (error !== undefined) {
+      console.error(`  Warning: Failed to process ${jsonFiles[idx]}: ${error}`);
+      continue;
+    }
+    if (!cu) continue;
 
-      // Get build time from ExecuteCompiler marker
-      const buildTime = extractExecuteCompilerDuration(traceData);
+    if (units[idx].sourceFile) {
+      cu.sourceFile = normalizePath(units[idx].sourceFile, config.pathPrefixes);
+      cu.outputFile = normalizePath(units[idx].outputFile, config.pathPrefixes);
+    }
 
-      // Count file usages
-      for (const inc of includesWithHierarchy) {
-        fileUsageCount.set(inc.file, (fileUsageCount.get(inc.file) || 0) + 1);
+    if (config.pathPrefixes.length > 0) {
+      for (const inc of cu.includes) {
+        inc.file = normalizePath(inc.file, config.pathPrefixes);
         if (inc.parentFile) {
-          fileUsageCount.set(inc.parentFile, (fileUsageCount.get(inc.parentFile) || 0) + 1);
+          inc.parentFile = normalizePath(inc.parentFile, config.pathPrefixes);
         }
       }
+    }
 
-      compilationUnitsData.push({
-        name: path.basename(jsonFile, '.json'),
-        buildTime: buildTime,
-        includes: includesWithHierarchy
-      });
+    // Count file usages
+    for (const inc of cu.includes) {
+      fileUsageCount.set(inc.file, (fileUsageCount.get(inc.file) || 0) + 1);
+      if (inc.parentFile) {
+        fileUsageCount.set(inc.parentFile, (fileUsageCount.get(inc.parentFile) || 0) + 1);
+      }
+    }
 
-      processedCount++;
-      if (processedCount % 100 === 0) {
-        console.error(`  Processed ${processedCount}/${jsonFiles.length} files...`);
+    // Count event detail usages
+    for (const event of cu.events) {
+      if (event.detail !== null) {
+        detailUsageCount.set(event.detail, (detailUsageCount.get(event.detail) || 0) + 1);
       }
-    } catch (err) {
-      console.error(`  Warning: Failed to process ${jsonFile}: ${err.message}`);
     }
+
+    compilationUnitsData.push(cu);
+    processedCount++;
   }
 
   console.error(`Successfully processed ${processedCount} files`);
@@ -246,6 +3796,16 @@ function main() {
     fileToId.set(file, idx);
   });
 
+  // Build sorted event detail table (by usage frequency)
+  const detailsArray = Array.from(detailUsageCount.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([detail, _]) => detail);
+
+  const detailToId = new Map();
+  detailsArray.forEach((detail, idx) => {
+    detailToId.set(detail, idx);
+  });
+
   // Sort compilation units by total include count (number of includes)
   compilationUnitsData.sort((a, b) => b.includes.length - a.includes.length);
 
@@ -255,9 +3815,33 @@ function main() {
     buildTimes: []
   };
 
+  // Trace times are in microseconds
+  const unitsPerMs = TIME_UNITS[timeUnit];
+  const toTimeUnit = us => Math.round((us * unitsPerMs) / 1000);
+
   for (const cu of compilationUnitsData) {
     compilationUnits.names.push(cu.name);
-    compilationUnits.buildTimes.push(Math.round(cu.buildTime / 1000)); // Convert to ms
+    compilationUnits.buildTimes.push(toTimeUnit(cu.buildTime));
+  }
+
+  // Constituent source files of unified CUs: root-level includes of source files,
+  // as indices into the CU's includes arrays
+  compilationUnits.unifiedSources = compilationUnitsData.map(cu => {
+    if (!isUnifiedCU(cu)) return [];
+
+    const indices = [];
+    cu.includes.forEach((inc, idx) => {
+      if (inc.parentFile === null && isSourceFile(inc.file)) {
+        indices.push(idx);
+      }
+    });
+    return indices;
+  });
+
+  // Source and output paths are only known from compile_commands.json
+  if (compileCommandsFile) {
+    compilationUnits.sourceFiles = compilationUnitsData.map(cu => cu.sourceFile);
+    compilationUnits.outputFiles = compilationUnitsData.map(cu => cu.outputFile);
   }
 
   // Build includes arrays (parallel arrays indexed by compilation unit)
@@ -283,12 +3867,12 @@ function main() {
     for (const inc of cu.includes) {
       fileIds.push(fileToId.get(inc.file));
 
-      // Differential compression for startTimes (in ms)
-      const startTimeMs = Math.round(inc.startTime / 1000);
-      startTimes.push(startTimeMs - prevStartTime);
-      prevStartTime = startTimeMs;
+      // Differential compression for startTimes
+      const startTime = toTimeUnit(inc.startTime);
+      startTimes.push(startTime - prevStartTime);
+      prevStartTime = startTime;
 
-      durations.push(Math.round(inc.duration / 1000)); // Convert to ms
+      durations.push(toTimeUnit(inc.duration));
       parentFileIds.push(
         inc.parentFile ? fileToId.get(inc.parentFile) : -1
       );
@@ -301,31 +3885,130 @@ function main() {
     includes.parentFileIds.push(parentFileIds);
   }
 
+  // Build events arrays (same layout as includes)
+  const events = {
+    nameIds: [],
+    detailIds: [],
+    startTimes: [],
+    durations: []
+  };
+  let totalEvents = 0;
+
+  for (const cu of compilationUnitsData) {
+    const nameIds = [];
+    const detailIds = [];
+    const startTimes = [];
+    const durations = [];
+
+    let prevStartTime = 0;
+
+    for (const event of cu.events) {
+      nameIds.push(COMPILER_EVENT_NAMES.indexOf(event.name));
+      detailIds.push(event.detail !== null ? detailToId.get(event.detail) : -1);
+
+      const startTime = toTimeUnit(event.startTime);
+      startTimes.push(startTime - prevStartTime);
+      prevStartTime = startTime;
+
+      durations.push(toTimeUnit(event.duration));
+      totalEvents++;
+    }
+
+    events.nameIds.push(nameIds);
+    events.detailIds.push(detailIds);
+    events.startTimes.push(startTimes);
+    events.durations.push(durations);
+  }
+
+  // Headers entered more than once per CU (same layout as includes)
+  const repeatedIncludes = {
+    fileIds: [],
+    repeatTimes: [],
+    parentFileIds: []
+  };
+  const repeatTotals = new Map(); // file -> {count, cuCount, time} in trace microseconds
+
+  for (const cu of compilationUnitsData) {
+    const repeats = findRepeatedIncludes(cu.includes);
+
+    repeatedIncludes.fileIds.push(repeats.map(repeat => fileToId.get(repeat.file)));
+    repeatedIncludes.repeatTimes.push(repeats.map(repeat => toTimeUnit(repeat.repeatTime)));
+    repeatedIncludes.parentFileIds.push(repeats.map(repeat =>
+      repeat.parents.map(parent => parent ? fileToId.get(parent) : -1)));
+
+    for (const repeat of repeats) {
+      const total = repeatTotals.get(repeat.file) || { count: 0, cuCount: 0, time: 0 };
+      total.count += repeat.parents.length;
+      total.cuCount++;
+      total.time += repeat.repeatTime;
+      repeatTotals.set(repeat.file, total);
+    }
+  }
+
   // Build output structure
   const output = {
     metadata: {
+      version: timeUnit === 'ms' ? DASHBOARD_FORMAT_VERSION : SUB_MS_FORMAT_VERSION,
       generatedAt: new Date().toISOString(),
+      timeUnit: timeUnit,
       totalCompilationUnits: compilationUnitsData.length,
       totalIncludes: totalIncludes,
       totalUniqueHeaders: filesArray.length,
+      totalEvents: totalEvents,
       description: 'Clang compilation time analysis for Firefox'
     },
     compilationUnits: compilationUnits,
     tables: {
-      files: filesArray
+      files: filesArray,
+      eventNames: COMPILER_EVENT_NAMES,
+      details: detailsArray
     },
-    includes: includes
+    includes: includes,
+    events: events,
+    repeatedIncludes: repeatedIncludes
   };
 
+  // Tags used to order builds in `history`
+  if (options.revision !== undefined) {
+    output.metadata.revision = options.revision;
+  }
+  if (options.date !== undefined) {
+    output.metadata.buildDate = new Date(options.date).toISOString();
+  }
+
+  // File categories are only known when the config has classification rules
+  if (config.categoryRules) {
+    output.tables.categories = FILE_CATEGORIES;
+    output.tables.fileCategories = filesArray.map(file => classifyFile(file, config));
+  }
+
   console.error('Writing output...');
   console.error(`  Total compilation units: ${output.metadata.totalCompilationUnits}`);
   console.error(`  Total includes: ${output.metadata.totalIncludes}`);
   console.error(`  Unique headers: ${output.metadata.totalUniqueHeaders}`);
+  console.error(`  Compiler events: ${output.metadata.totalEvents}`);
+
+  if (repeatTotals.size > 0) {
+    const topRepeats = Array.from(repeatTotals.entries())
+      .sort((a, b) => b[1].time - a[1].time || b[1].count - a[1].count)
+      .slice(0, 10);
+    console.error(`  Headers entered more than once in a CU: ${repeatTotals.size} (top ${topRepeats.length} by repeat time)`);
+    for (const [file, total] of topRepeats) {
+      console.error(`    ${formatTime(total.time / 1000).padStart(8)}  ${total.count} re-entries in ${total.cuCount} CUs  ${file}`);
+    }
+  }
 
-  fs.writeFileSync(outputFile, JSON.stringify(output));
+  fs.writeFileSync(outputFile, options.compact ? encodeCompactDashboard(output) : JSON.stringify(output));
 
   const fileSizeMB = (fs.statSync(outputFile).size / (1024 * 1024)).toFixed(2);
   console.error(`Done! Output file: ${outputFile} (${fileSizeMB} MB)`);
 }
 
-main();
+if (isMainThread) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  workerMain();
+}
@@ -7,11 +7,20 @@
  * - Sample count: number of times the header was included
  * - Weight (time): total time spent by compiler processing the header
  *
- * Usage: node clang-trace-to-profiler.js <input.json> <output.json>
+ * The Source intervals and all the other events of the trace (Frontend, Backend,
+ * Optimizer, CodeGen, template instantiations, ...) are also written as interval
+ * markers, grouped by category, for the Marker Chart.
+ *
+ * The include hierarchy and the phases can also be exported as Chrome Trace Event JSON
+ * (for Perfetto and chrome://tracing) or in speedscope's evented format with --format.
+ *
+ * Usage: node clang-trace-to-profiler.js [--jobs N] [--thread-per cu|directory] [--wall-clock]
+ *        [--format firefox|chrome|speedscope] <input.json|directory> [output.json]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
 
 /**
  * Parse Clang trace events and extract Source markers with their include hierarchy.
@@ -66,67 +75,99 @@ function extractSourceMarkers(traceData) {
   }
 
   // Now build the include hierarchy by looking at which intervals contain which
-  // For each interval, find all intervals that contain it (started before and ended after)
   // We create a sample for EVERY Source marker in the input
-  const sourceMarkers = [];
-
-  for (const interval of intervals) {
-    const stack = [];
-
-    // Find all intervals that contain this one (its include chain)
-    for (const other of intervals) {
-      if (other !== interval &&
-          other.startTime <= interval.startTime &&
-          other.endTime >= interval.endTime) {
-        stack.push(other);
-      }
+  const parents = findIncludeParents(intervals);
+
+  // Calculate self-time: duration minus time spent in direct children
+  // This avoids double-counting when we create samples for every marker
+  const childrenTime = new Array(intervals.length).fill(0);
+  for (let idx = 0; idx < intervals.length; idx++) {
+    if (parents[idx] !== -1) {
+      childrenTime[parents[idx]] += intervals[idx].duration;
     }
+  }
 
-    // Sort by start time (outermost first)
-    stack.sort((a, b) => a.startTime - b.startTime);
+  const sourceMarkers = [];
 
-    // Add the current file at the end so it appears as the leaf
-    stack.push(interval);
+  for (let idx = 0; idx < intervals.length; idx++) {
+    const interval = intervals[idx];
 
-    // Calculate self-time: duration minus time spent in directly contained intervals
-    // This avoids double-counting when we create samples for every marker
-    let childrenTime = 0;
-    for (const other of intervals) {
-      if (other !== interval &&
-          interval.startTime <= other.startTime &&
-          interval.endTime >= other.endTime) {
-        // Check if this is a DIRECT child (no intermediate intervals)
-        let isDirect = true;
-        for (const middle of intervals) {
-          if (middle !== interval && middle !== other &&
-              interval.startTime <= middle.startTime &&
-              interval.endTime >= middle.endTime &&
-              middle.startTime <= other.startTime &&
-              middle.endTime >= other.endTime) {
-            isDirect = false;
-            break;
-          }
-        }
-        if (isDirect) {
-          childrenTime += other.duration;
-        }
-      }
+    // Walk up the parents to get the include chain, outermost first,
+    // with the current file at the end so it appears as the leaf
+    const stack = [];
+    for (let current = idx; current !== -1; current = parents[current]) {
+      stack.unshift(intervals[current].file);
     }
 
-    const selfTime = interval.duration - childrenTime;
-
     sourceMarkers.push({
       file: interval.file,
       startTime: interval.startTime,
       endTime: interval.endTime,
-      duration: selfTime,  // Use self-time instead of total duration
-      stack: stack.map(s => s.file)
+      duration: interval.duration - childrenTime[idx],  // Use self-time instead of total duration
+      stack: stack
     });
   }
 
   return sourceMarkers;
 }
 
+/**
+ * Extract the complete ('X') events of a Clang trace, such as the compiler phases and
+ * template instantiations, to be shown as markers. The "Total ..." events are skipped,
+ * as they are per-name sums rather than intervals of the compilation.
+ * @param {Object} traceData - The parsed Clang trace JSON
+ * @returns {Array} Array of {name, detail, startTime, endTime} objects, detail being null
+ *   when the event has no args.detail
+ */
+function extractPhaseMarkers(traceData) {
+  const events = traceData.traceEvents || [];
+
+  return events
+    .filter(e => e.ph === 'X' && !e.name.startsWith('Total '))
+    .map(e => ({
+      name: e.name,
+      detail: e.args && e.args.detail ? e.args.detail : null,
+      startTime: e.ts,
+      endTime: e.ts + (e.dur || 0)
+    }));
+}
+
+/**
+ * Find the immediate parent of each interval (the innermost interval containing it)
+ * in a single sweep over the intervals sorted by start time, keeping a stack of the
+ * intervals that are still open.
+ *
+ * Ties are broken deterministically: among intervals starting at the same time the
+ * longest one is the outermost, and identical intervals (including zero-duration
+ * ones) nest in their original order.
+ * @param {Array} intervals - Array of {startTime, endTime} objects
+ * @returns {Array<number>} Index of the parent interval for each interval, or -1 for roots
+ */
+function findIncludeParents(intervals) {
+  const order = intervals.map((_, idx) => idx);
+  order.sort((a, b) =>
+    intervals[a].startTime - intervals[b].startTime ||
+    intervals[b].endTime - intervals[a].endTime ||
+    a - b);
+
+  const parents = new Array(intervals.length).fill(-1);
+  const stack = [];
+
+  for (const idx of order) {
+    // Close the intervals that end before this one does
+    while (stack.length > 0 && intervals[stack[stack.length - 1]].endTime < intervals[idx].endTime) {
+      stack.pop();
+    }
+
+    if (stack.length > 0) {
+      parents[idx] = stack[stack.length - 1];
+    }
+    stack.push(idx);
+  }
+
+  return parents;
+}
+
 /**
  * Get a short name for a file (just the filename, not the full path)
  * This makes the UI more readable
@@ -138,33 +179,118 @@ function getDisplayName(filePath) {
 }
 
 /**
- * Convert source markers to Firefox Profiler format.
- * @param {Array} sourceMarkers - Array of source marker objects with optional compilationUnit
- * @param {string} inputFileName - Name of the input file for metadata
- * @returns {Object} Firefox Profiler format profile
+ * Categories of the generated profiles. Frames use the 'Header Processing'
+ * subcategory of 'Compilation', markers use the categories of PHASE_MARKER_CATEGORIES.
  */
-function convertToProfiler(sourceMarkers, inputFileName) {
-  // Sort markers by end time (when we'll create the sample)
-  sourceMarkers.sort((a, b) => a.endTime - b.endTime);
+const PROFILER_CATEGORIES = [
+  {
+    name: 'Other',
+    color: 'grey',
+    subcategories: ['Other']
+  },
+  {
+    name: 'Compilation',
+    color: 'blue',
+    subcategories: ['Other', 'Header Processing']
+  },
+  {
+    name: 'Frontend',
+    color: 'green',
+    subcategories: ['Other']
+  },
+  {
+    name: 'Templates',
+    color: 'purple',
+    subcategories: ['Other']
+  },
+  {
+    name: 'Code Generation',
+    color: 'orange',
+    subcategories: ['Other']
+  },
+  {
+    name: 'Backend',
+    color: 'red',
+    subcategories: ['Other']
+  }
+];
+
+const COMPILATION_CATEGORY = 1;
+const HEADER_SUBCATEGORY = 1;
+
+// Category of a marker, by the first pattern matching its event name. Events matching
+// none of them (like ExecuteCompiler) go to 'Other'. Backend events are the optimization and
+// code generation phases, and LLVM passes, named after their class (RunPass, InstCombinePass,
+// ModuleToFunctionPassAdaptor, PassManager<llvm::Function>...). getTraceEventCategory() in
+// index.html uses the same patterns.
+const PHASE_MARKER_CATEGORIES = [
+  { pattern: /^(Instantiate|PerformPendingInstantiations)/, category: 3 },
+  { pattern: /^(Frontend|Source|Parse|Lex|Debug)/, category: 2 },
+  { pattern: /^CodeGen Function/, category: 4 },
+  { pattern: /^(Backend|Optimizer|OptModule|OptFunction|CodeGenPasses|PerFunctionPasses|PerModulePasses)$|^[A-Za-z]*Pass(Adaptor|Manager)?(<|$)/, category: 5 }
+];
+
+// Schema of the markers' data: the event's args.detail, as an index in the string table
+const PHASE_MARKER_SCHEMA = {
+  name: 'ClangTrace',
+  display: ['marker-chart', 'marker-table', 'timeline-overview'],
+  chartLabel: '{marker.data.detail}',
+  tooltipLabel: '{marker.name} {marker.data.detail}',
+  tableLabel: '{marker.data.detail}',
+  fields: [
+    { key: 'detail', label: 'Detail', format: 'unique-string' }
+  ]
+};
 
-  if (sourceMarkers.length === 0) {
-    console.warn('Warning: No Source markers found in trace file');
+/**
+ * Get the profiler category of a marker from its trace event name.
+ * @param {string} name - Event name (e.g. 'Frontend', 'InstantiateClass')
+ * @returns {number} Index in PROFILER_CATEGORIES
+ */
+function getPhaseMarkerCategory(name) {
+  for (const { pattern, category } of PHASE_MARKER_CATEGORIES) {
+    if (pattern.test(name)) {
+      return category;
+    }
   }
+  return 0;
+}
 
-  // String table for deduplication
-  const stringTable = [''];  // Index 0 is empty string
+/**
+ * Create a string table for deduplication. The table is shared by all the threads
+ * of a profile.
+ * @returns {Object} {stringArray, addString} where addString(str) returns the index of str
+ */
+function createStringTable() {
+  const stringArray = [''];  // Index 0 is empty string
   const stringMap = new Map([['', 0]]);
 
   function addString(str) {
     if (stringMap.has(str)) {
       return stringMap.get(str);
     }
-    const index = stringTable.length;
-    stringTable.push(str);
+    const index = stringArray.length;
+    stringArray.push(str);
     stringMap.set(str, index);
     return index;
   }
 
+  return { stringArray, addString };
+}
+
+/**
+ * Convert source markers to a Firefox Profiler thread. The Source intervals and the
+ * phase markers become the thread's interval markers.
+ * @param {Array} sourceMarkers - Array of source marker objects with optional compilationUnit
+ * @param {Function} addString - Adds a string to the shared string table (see createStringTable)
+ * @param {Object} threadInfo - {name, pid, tid} of the thread
+ * @param {Array} [phaseMarkers] - Markers as returned by extractPhaseMarkers
+ * @returns {Object} Firefox Profiler thread
+ */
+function convertToThread(sourceMarkers, addString, threadInfo, phaseMarkers = []) {
+  // Sort markers by end time (when we'll create the sample)
+  sourceMarkers.sort((a, b) => a.endTime - b.endTime);
+
   // Tables
   const frameTable = {
     address: [],
@@ -212,23 +338,6 @@ function convertToProfiler(sourceMarkers, inputFileName) {
     length: 0
   };
 
-  // Create a category for compilation
-  const categories = [
-    {
-      name: 'Other',
-      color: 'grey',
-      subcategories: ['Other']
-    },
-    {
-      name: 'Compilation',
-      color: 'blue',
-      subcategories: ['Other', 'Header Processing']
-    }
-  ];
-
-  const compilationCategory = 1;
-  const headerSubcategory = 1;
-
   // Cache for frames, funcs, and stacks
   const frameCache = new Map();
   const funcCache = new Map();
@@ -264,8 +373,8 @@ function convertToProfiler(sourceMarkers, inputFileName) {
 
     frameTable.address.push(-1);
     frameTable.inlineDepth.push(0);
-    frameTable.category.push(compilationCategory);
-    frameTable.subcategory.push(headerSubcategory);
+    frameTable.category.push(COMPILATION_CATEGORY);
+    frameTable.subcategory.push(HEADER_SUBCATEGORY);
     frameTable.func.push(funcIndex);
     frameTable.nativeSymbol.push(null);
     frameTable.innerWindowID.push(null);
@@ -292,9 +401,6 @@ function convertToProfiler(sourceMarkers, inputFileName) {
     return stackIndex;
   }
 
-  // Convert microseconds to milliseconds
-  const startTimeMs = sourceMarkers.length > 0 ? sourceMarkers[0].startTime / 1000 : 0;
-
   // Process each source marker
   for (const marker of sourceMarkers) {
     // Use the actual include stack from the trace data
@@ -326,21 +432,101 @@ function convertToProfiler(sourceMarkers, inputFileName) {
     samples.length++;
   }
 
-  // Build the profile
-  const now = Date.now();
-  const profile = {
+  // Interval markers, in start time order
+  const intervals = [
+    ...sourceMarkers.map(marker => ({
+      name: 'Source',
+      detail: marker.file,
+      startTime: marker.startTime,
+      endTime: marker.endTime
+    })),
+    ...phaseMarkers
+  ];
+  intervals.sort((a, b) => a.startTime - b.startTime || b.endTime - a.endTime);
+
+  const markers = {
+    data: [],
+    name: [],
+    startTime: [],
+    endTime: [],
+    phase: [],
+    category: [],
+    length: 0
+  };
+
+  for (const interval of intervals) {
+    markers.data.push(interval.detail !== null
+      ? { type: PHASE_MARKER_SCHEMA.name, detail: addString(interval.detail) }
+      : { type: PHASE_MARKER_SCHEMA.name });
+    markers.name.push(addString(interval.name));
+    markers.startTime.push(interval.startTime / 1000);
+    markers.endTime.push(interval.endTime / 1000);
+    markers.phase.push(1);  // Interval marker
+    markers.category.push(getPhaseMarkerCategory(interval.name));
+    markers.length++;
+  }
+
+  return {
+    processType: 'default',
+    processStartupTime: 0,
+    processShutdownTime: null,
+    registerTime: 0,
+    unregisterTime: null,
+    pausedRanges: [],
+    name: threadInfo.name,
+    isMainThread: true,
+    pid: String(threadInfo.pid),
+    tid: threadInfo.tid,
+    samples: samples,
+    markers: markers,
+    stackTable: stackTable,
+    frameTable: frameTable,
+    funcTable: funcTable,
+    resourceTable: resourceTable,
+    nativeSymbols: {
+      libIndex: [],
+      address: [],
+      name: [],
+      functionSize: [],
+      length: 0
+    }
+  };
+}
+
+/**
+ * Build a Firefox Profiler profile from threads sharing one string table.
+ * @param {Array} threads - Threads created by convertToThread()
+ * @param {Array<string>} stringArray - The shared string table
+ * @param {string} inputFileName - Name of the input file for metadata
+ * @param {number} [startTime] - Wall-clock time of the profile's zero in milliseconds since
+ *   the epoch (default: now)
+ * @returns {Object} Firefox Profiler format profile
+ */
+function createProfile(threads, stringArray, inputFileName, startTime = Date.now()) {
+  let duration = 0;
+  for (const thread of threads) {
+    const { time, length } = thread.samples;
+    if (length > 0 && time[length - 1] > duration) {
+      duration = time[length - 1];
+    }
+    for (const endTime of thread.markers.endTime) {
+      duration = Math.max(duration, endTime);
+    }
+  }
+
+  return {
     meta: {
       interval: 1,
-      startTime: now,
-      endTime: now + (samples.length > 0 ? samples.time[samples.length - 1] : 0),
+      startTime: startTime,
+      endTime: startTime + duration,
       processType: 0,
       product: 'clang-trace-converter',
       stackwalk: 0,
       debug: false,
       version: 28,
       preprocessedProfileVersion: 57,
-      categories: categories,
-      markerSchema: [],
+      categories: PROFILER_CATEGORIES,
+      markerSchema: [PHASE_MARKER_SCHEMA],
       sampleUnits: {
         time: 'ms',
         eventDelay: 'ms',
@@ -354,46 +540,32 @@ function convertToProfiler(sourceMarkers, inputFileName) {
     },
     libs: [],
     shared: {
-      stringArray: stringTable
+      stringArray: stringArray
     },
-    threads: [
-      {
-        processType: 'default',
-        processStartupTime: 0,
-        processShutdownTime: null,
-        registerTime: 0,
-        unregisterTime: null,
-        pausedRanges: [],
-        name: `Clang compilation: ${path.basename(inputFileName)}`,
-        isMainThread: true,
-        pid: '0',
-        tid: 0,
-        samples: samples,
-        markers: {
-          data: [],
-          name: [],
-          startTime: [],
-          endTime: [],
-          phase: [],
-          category: [],
-          length: 0
-        },
-        stackTable: stackTable,
-        frameTable: frameTable,
-        funcTable: funcTable,
-        resourceTable: resourceTable,
-        nativeSymbols: {
-          libIndex: [],
-          address: [],
-          name: [],
-          functionSize: [],
-          length: 0
-        }
-      }
-    ]
+    threads: threads
   };
+}
 
-  return profile;
+/**
+ * Convert source markers to Firefox Profiler format.
+ * @param {Array} sourceMarkers - Array of source marker objects with optional compilationUnit
+ * @param {string} inputFileName - Name of the input file for metadata
+ * @param {Array} [phaseMarkers] - Markers as returned by extractPhaseMarkers
+ * @returns {Object} Firefox Profiler format profile
+ */
+function convertToProfiler(sourceMarkers, inputFileName, phaseMarkers = []) {
+  if (sourceMarkers.length === 0) {
+    console.warn('Warning: No Source markers found in trace file');
+  }
+
+  const { stringArray, addString } = createStringTable();
+  const thread = convertToThread(sourceMarkers, addString, {
+    name: `Clang compilation: ${path.basename(inputFileName)}`,
+    pid: 0,
+    tid: 0
+  }, phaseMarkers);
+
+  return createProfile([thread], stringArray, inputFileName);
 }
 
 /**
@@ -435,66 +607,501 @@ function findMatchingJsonFiles(dir) {
 }
 
 /**
- * Merge multiple source marker arrays into a single profile
- * Adjusts timestamps so each file's samples come after the previous file's samples
- * @param {Array} allSourceMarkers - Array of {file: string, markers: Array} objects
- * @param {string} outputName - Name for the output
- * @returns {Object} Combined Firefox Profiler format profile
+ * Read a trace file and extract its Source markers, tagged with the compilation unit
+ * @param {string} jsonFile - Path to the Clang trace JSON file
+ * @returns {Object} {sourceMarkers, phaseMarkers, beginningOfTime} where sourceMarkers and
+ *   phaseMarkers are as returned by extractSourceMarkers and extractPhaseMarkers, and
+ *   beginningOfTime is the wall-clock time of the trace's zero in microseconds since the
+ *   epoch, or null if the trace does not record it
  */
-function mergeIntoProfile(allSourceMarkers, outputName) {
-  // Adjust timestamps so files are laid out sequentially in time
-  let timeOffset = 0;
+function processTraceFile(jsonFile) {
+  const traceData = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  const sourceMarkers = extractSourceMarkers(traceData);
 
-  for (const { file, markers } of allSourceMarkers) {
-    if (markers.length === 0) continue;
+  // Add compilation unit name (filename without .json extension) to each marker
+  const compilationUnit = path.basename(jsonFile, '.json');
+  for (const marker of sourceMarkers) {
+    marker.compilationUnit = compilationUnit;
+  }
 
-    // Find the duration of this compilation unit (max endTime across all its markers)
-    let maxEndTime = 0;
-    for (const marker of markers) {
-      if (marker.endTime > maxEndTime) {
-        maxEndTime = marker.endTime;
+  const phaseMarkers = extractPhaseMarkers(traceData);
+  const beginningOfTime = typeof traceData.beginningOfTime === 'number' ? traceData.beginningOfTime : null;
+  return { sourceMarkers, phaseMarkers, beginningOfTime };
+}
+
+/**
+ * Run processTraceFile() on each trace file, in a pool of worker threads when jobs > 1.
+ * Results are returned in the order of jsonFiles, so the output does not depend on
+ * the number of jobs.
+ * @param {Array<string>} jsonFiles - Trace files to process
+ * @param {number} jobs - Number of worker threads
+ * @param {Function} onProgress - Called with the number of finished files
+ * @returns {Promise<Array>} One {result} or {error} object per trace file
+ */
+function processTraceFiles(jsonFiles, jobs, onProgress) {
+  const outcomes = new Array(jsonFiles.length);
+
+  if (jobs <= 1 || jsonFiles.length === 0) {
+    for (let idx = 0; idx < jsonFiles.length; idx++) {
+      try {
+        outcomes[idx] = { result: processTraceFile(jsonFiles[idx]) };
+      } catch (err) {
+        outcomes[idx] = { error: err.message };
       }
+      onProgress(idx + 1);
+    }
+    return Promise.resolve(outcomes);
+  }
+
+  return new Promise((resolve, reject) => {
+    let nextIndex = 0;
+    let finishedCount = 0;
+
+    function sendNext(worker) {
+      if (nextIndex < jsonFiles.length) {
+        worker.postMessage({ index: nextIndex, file: jsonFiles[nextIndex] });
+        nextIndex++;
+      } else {
+        worker.terminate();
+      }
+    }
+
+    const workerCount = Math.min(jobs, jsonFiles.length);
+    for (let w = 0; w < workerCount; w++) {
+      const worker = new Worker(__filename);
+
+      worker.on('message', ({ index, result, error }) => {
+        outcomes[index] = error !== undefined ? { error } : { result };
+        finishedCount++;
+        onProgress(finishedCount);
+
+        if (finishedCount === jsonFiles.length) {
+          resolve(outcomes);
+        }
+        sendNext(worker);
+      });
+      worker.on('error', reject);
+
+      sendNext(worker);
+    }
+  });
+}
+
+/**
+ * Worker thread entry point: process the trace files sent by processTraceFiles()
+ */
+function workerMain() {
+  parentPort.on('message', ({ index, file }) => {
+    try {
+      parentPort.postMessage({ index, result: processTraceFile(file) });
+    } catch (err) {
+      parentPort.postMessage({ index, error: err.message });
+    }
+  });
+}
+
+/**
+ * Split command line arguments into positional arguments and options.
+ * Options are given as `--name value`, `--name=value`, or `--name` for boolean options.
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} optionTypes - Option name -> 'string' or 'boolean'
+ * @returns {Object} {positional: Array<string>, options: Object}
+ */
+function parseArgs(args, optionTypes) {
+  const positional = [];
+  const options = {};
+
+  for (let idx = 0; idx < args.length; idx++) {
+    const arg = args[idx];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    const name = arg.slice(2, eqIndex === -1 ? undefined : eqIndex);
+    const type = optionTypes[name];
+
+    if (!type) {
+      throw new Error(`Unknown option '--${name}'`);
+    }
+
+    if (type === 'boolean') {
+      options[name] = true;
+    } else if (eqIndex !== -1) {
+      options[name] = arg.slice(eqIndex + 1);
+    } else if (idx + 1 < args.length) {
+      options[name] = args[++idx];
+    } else {
+      throw new Error(`Option '--${name}' requires a value`);
     }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Get the duration of a compilation unit (max endTime across all its markers)
+ * @param {Array} sourceMarkers - Source markers of the trace
+ * @param {Array} phaseMarkers - Phase markers of the trace
+ * @returns {number} End time of the last marker in microseconds
+ */
+function getTraceEndTime(sourceMarkers, phaseMarkers) {
+  let maxEndTime = 0;
+  for (const marker of sourceMarkers.concat(phaseMarkers)) {
+    if (marker.endTime > maxEndTime) {
+      maxEndTime = marker.endTime;
+    }
+  }
+  return maxEndTime;
+}
+
+/**
+ * Get the wall-clock time at which a compilation unit started, in microseconds since the
+ * epoch. Uses the trace's beginningOfTime when it is recorded, and otherwise the mtime of
+ * the matching .o file minus the duration of the trace, as the object file is written when
+ * compilation ends.
+ * @param {string} jsonFile - Path to the Clang trace JSON file
+ * @param {Object} result - Result of processTraceFile() for the trace
+ * @returns {Object} {startTime, source} where source is 'trace' or 'mtime'
+ */
+function getWallClockStart(jsonFile, result) {
+  if (result.beginningOfTime !== null) {
+    return { startTime: result.beginningOfTime, source: 'trace' };
+  }
+
+  const oFile = jsonFile.slice(0, -5) + '.o';
+  const mtimeUs = fs.statSync(oFile).mtimeMs * 1000;
+  return { startTime: mtimeUs - getTraceEndTime(result.sourceMarkers, result.phaseMarkers), source: 'mtime' };
+}
+
+/**
+ * Lay out the traces of several files on a common timeline, by shifting the timestamps of
+ * their markers in place. Without wall-clock start times, the files of a thread are laid
+ * out end to end; with them, each file is placed at its wallClockStart relative to the
+ * earliest one, so the timeline shows which compilation units ran concurrently.
+ * @param {Array} allSourceMarkers - Array of {file, markers, phaseMarkers, thread, wallClockStart} objects
+ * @param {boolean} [wallClock] - Place files at their wallClockStart (microseconds since the epoch)
+ * @returns {number|undefined} Wall-clock time of the timeline's zero in microseconds since the
+ *   epoch, or undefined without wall-clock start times
+ */
+function layoutTraces(allSourceMarkers, wallClock = false) {
+  let earliestStart = Infinity;
+  if (wallClock) {
+    for (const { wallClockStart } of allSourceMarkers) {
+      earliestStart = Math.min(earliestStart, wallClockStart);
+    }
+  }
+
+  const threadOffsets = new Map();
+
+  for (const { markers, phaseMarkers = [], thread, wallClockStart } of allSourceMarkers) {
+    if (markers.length === 0) continue;
+
+    if (!threadOffsets.has(thread)) {
+      threadOffsets.set(thread, 0);
+    }
+
+    // Find the duration of this compilation unit, including the phases after the last include
+    const maxEndTime = getTraceEndTime(markers, phaseMarkers);
 
     // Adjust all timestamps for this file
-    for (const marker of markers) {
+    const timeOffset = wallClock ? wallClockStart - earliestStart : threadOffsets.get(thread);
+    for (const marker of markers.concat(phaseMarkers)) {
       marker.startTime += timeOffset;
       marker.endTime += timeOffset;
     }
 
-    // Next file starts after this one ends
-    timeOffset += maxEndTime;
+    // Next file of this thread starts after this one ends
+    threadOffsets.set(thread, threadOffsets.get(thread) + maxEndTime);
+  }
+
+  return wallClock && allSourceMarkers.length > 0 ? earliestStart : undefined;
+}
+
+/**
+ * Merge multiple source marker arrays into a single profile.
+ * Each file goes to the thread named by its `thread` property, and all threads share
+ * one string table. Files are placed on the timeline by layoutTraces().
+ * @param {Array} allSourceMarkers - Array of {file, markers, phaseMarkers, thread, wallClockStart} objects
+ * @param {string} outputName - Name for the output
+ * @param {boolean} [wallClock] - Place files at their wallClockStart (microseconds since the epoch)
+ * @returns {Object} Combined Firefox Profiler format profile
+ */
+function mergeIntoProfile(allSourceMarkers, outputName, wallClock = false) {
+  const timelineStart = layoutTraces(allSourceMarkers, wallClock);
+
+  // Group the files by thread, keeping the threads in order of their first file
+  const threadMarkers = new Map();
+
+  for (const { markers, phaseMarkers = [], thread } of allSourceMarkers) {
+    if (markers.length === 0) continue;
+
+    if (!threadMarkers.has(thread)) {
+      threadMarkers.set(thread, { markers: [], phaseMarkers: [] });
+    }
+    threadMarkers.get(thread).markers.push(...markers);
+    threadMarkers.get(thread).phaseMarkers.push(...phaseMarkers);
+  }
+
+  let totalMarkers = 0;
+  let totalPhaseMarkers = 0;
+  for (const { markers, phaseMarkers } of threadMarkers.values()) {
+    totalMarkers += markers.length;
+    totalPhaseMarkers += phaseMarkers.length;
   }
+  console.error(`Total markers across all files: ${totalMarkers} Source, ${totalPhaseMarkers} phase`);
+
+  const { stringArray, addString } = createStringTable();
+  const threads = [];
+  for (const [name, { markers, phaseMarkers }] of threadMarkers) {
+    const index = threads.length;
+    threads.push(convertToThread(markers, addString, {
+      name: name !== undefined ? name : `Clang compilation: ${outputName}`,
+      pid: index,
+      tid: index
+    }, phaseMarkers));
+  }
+
+  const startTime = timelineStart !== undefined ? timelineStart / 1000 : undefined;
+  return createProfile(threads, stringArray, outputName, startTime);
+}
+
+/**
+ * Combine the Source intervals and phase markers of a trace into one properly nested list
+ * of intervals, as the Chrome trace and speedscope formats need. Intervals are sorted by
+ * start time, outermost first, and an interval that ends after the interval enclosing it
+ * is cut at the end of that interval.
+ * @param {Array} sourceMarkers - Source markers of the trace
+ * @param {Array} phaseMarkers - Phase markers of the trace
+ * @returns {Array} Array of {name, detail, file, startTime, endTime} objects, file being the
+ *   header path for Source intervals and null for phases
+ */
+function nestTraceIntervals(sourceMarkers, phaseMarkers) {
+  const intervals = [
+    ...sourceMarkers.map(marker => ({
+      name: 'Source',
+      detail: marker.file,
+      file: marker.file,
+      startTime: marker.startTime,
+      endTime: marker.endTime
+    })),
+    ...phaseMarkers.map(marker => ({ ...marker, file: null }))
+  ];
+  intervals.sort((a, b) => a.startTime - b.startTime || b.endTime - a.endTime);
 
-  // Combine all markers
-  const allMarkers = [];
-  for (const { file, markers } of allSourceMarkers) {
-    allMarkers.push(...markers);
+  const stack = [];
+  for (const interval of intervals) {
+    while (stack.length > 0 && stack[stack.length - 1].endTime <= interval.startTime) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      interval.endTime = Math.min(interval.endTime, stack[stack.length - 1].endTime);
+    }
+    stack.push(interval);
   }
 
-  console.error(`Total markers across all files: ${allMarkers.length}`);
+  return intervals;
+}
 
-  return convertToProfiler(allMarkers, outputName);
+/**
+ * Convert traces laid out by layoutTraces() to the Chrome Trace Event format, for Perfetto
+ * and chrome://tracing. Each thread becomes a process and each compilation unit one of
+ * its threads, with the include hierarchy and the compiler phases as nested complete events.
+ * @param {Array} allSourceMarkers - Array of {name, markers, phaseMarkers, thread} objects
+ * @param {string} outputName - Name for the output
+ * @returns {Object} Chrome Trace Event format trace
+ */
+function convertToChromeTrace(allSourceMarkers, outputName) {
+  const traceEvents = [];
+  const pids = new Map();
+  let tid = 0;
+
+  for (const { name, markers, phaseMarkers = [], thread } of allSourceMarkers) {
+    if (!pids.has(thread)) {
+      const pid = pids.size;
+      pids.set(thread, pid);
+      traceEvents.push({
+        ph: 'M', name: 'process_name', pid, tid: 0,
+        args: { name: thread !== undefined ? thread : `Clang compilation: ${outputName}` }
+      });
+    }
+
+    const pid = pids.get(thread);
+    tid++;
+    traceEvents.push({ ph: 'M', name: 'thread_name', pid, tid, args: { name } });
+    traceEvents.push({ ph: 'M', name: 'thread_sort_index', pid, tid, args: { sort_index: tid } });
+
+    for (const interval of nestTraceIntervals(markers, phaseMarkers)) {
+      traceEvents.push({
+        ph: 'X',
+        name: interval.file !== null ? getDisplayName(interval.file) : interval.name,
+        cat: PROFILER_CATEGORIES[getPhaseMarkerCategory(interval.name)].name,
+        pid,
+        tid,
+        ts: interval.startTime,
+        dur: interval.endTime - interval.startTime,
+        args: interval.detail !== null ? { detail: interval.detail } : {}
+      });
+    }
+  }
+
+  return {
+    traceEvents,
+    displayTimeUnit: 'ms',
+    otherData: {
+      producer: 'clang-trace-converter',
+      name: outputName
+    }
+  };
+}
+
+/**
+ * Convert traces laid out by layoutTraces() to speedscope's evented format, with one
+ * profile per compilation unit. Headers are frames named after the file, with the full
+ * path as the frame's file; phases are frames named after the event and its detail.
+ * @param {Array} allSourceMarkers - Array of {name, markers, phaseMarkers} objects
+ * @param {string} outputName - Name for the output
+ * @returns {Object} speedscope format file
+ */
+function convertToSpeedscope(allSourceMarkers, outputName) {
+  const frames = [];
+  const frameIndices = new Map();
+
+  function getOrCreateFrame(interval) {
+    const key = interval.file !== null
+      ? `Source:${interval.file}`
+      : (interval.detail !== null ? `${interval.name} ${interval.detail}` : interval.name);
+    if (frameIndices.has(key)) {
+      return frameIndices.get(key);
+    }
+
+    const frameIndex = frames.length;
+    frames.push(interval.file !== null
+      ? { name: getDisplayName(interval.file), file: interval.file }
+      : { name: key });
+    frameIndices.set(key, frameIndex);
+    return frameIndex;
+  }
+
+  const profiles = [];
+
+  for (const { name, markers, phaseMarkers = [] } of allSourceMarkers) {
+    const intervals = nestTraceIntervals(markers, phaseMarkers);
+    const events = [];
+    const stack = [];
+
+    // Intervals are properly nested, so each one closes before the interval enclosing it
+    for (const interval of intervals) {
+      while (stack.length > 0 && stack[stack.length - 1].interval.endTime <= interval.startTime) {
+        const { interval: closed, frame } = stack.pop();
+        events.push({ type: 'C', frame, at: closed.endTime });
+      }
+      const frame = getOrCreateFrame(interval);
+      events.push({ type: 'O', frame, at: interval.startTime });
+      stack.push({ interval, frame });
+    }
+    while (stack.length > 0) {
+      const { interval: closed, frame } = stack.pop();
+      events.push({ type: 'C', frame, at: closed.endTime });
+    }
+
+    profiles.push({
+      type: 'evented',
+      name,
+      unit: 'microseconds',
+      startValue: events.length > 0 ? events[0].at : 0,
+      endValue: events.length > 0 ? events[events.length - 1].at : 0,
+      events
+    });
+  }
+
+  return {
+    $schema: 'https://www.speedscope.app/file-format-schema.json',
+    name: outputName,
+    exporter: 'clang-trace-converter',
+    activeProfileIndex: 0,
+    shared: { frames },
+    profiles
+  };
+}
+
+/**
+ * Get the name of the thread a trace file goes to.
+ * @param {string} jsonFile - Path to the Clang trace JSON file
+ * @param {string} inputDir - Directory the trace files were found in
+ * @param {string} [threadPer] - 'cu' or 'directory', or undefined for a single thread
+ * @returns {string|undefined} Thread name, or undefined for the single merged thread
+ */
+function getThreadName(jsonFile, inputDir, threadPer) {
+  if (threadPer === 'cu') {
+    return path.relative(inputDir, jsonFile).slice(0, -5);
+  }
+  if (threadPer === 'directory') {
+    return path.relative(inputDir, path.dirname(jsonFile)) || '.';
+  }
+  return undefined;
 }
 
 /**
  * Main function
  */
-function main() {
-  if (process.argv.length < 3) {
-    console.error('Usage: node clang-trace-to-profiler.js <input.json|directory> [output.json]');
+async function main() {
+  let positional, options;
+  try {
+    ({ positional, options } = parseArgs(process.argv.slice(2), {
+      jobs: 'string',
+      'thread-per': 'string',
+      'wall-clock': 'boolean',
+      format: 'string'
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (positional.length < 1) {
+    console.error('Usage: node clang-trace-to-profiler.js [options] <input.json|directory> [output.json]');
     console.error('');
-    console.error('Converts Clang -ftime-trace JSON files to Firefox Profiler format.');
+    console.error('Converts Clang -ftime-trace JSON files to Firefox Profiler, Chrome trace or speedscope format.');
     console.error('');
     console.error('If input is a directory, recursively finds all .json files with matching .o files');
     console.error('and merges them into a single profile.');
     console.error('');
     console.error('If output.json is not specified, writes to stdout.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --jobs N                     Process trace files in N worker threads in directory mode (default: 1)');
+    console.error('  --thread-per cu|directory    In directory mode, give each compilation unit or each directory');
+    console.error('                               its own thread instead of merging everything into one');
+    console.error('  --wall-clock                 In directory mode, place compilation units at their real start time');
+    console.error('                               (trace beginningOfTime, or .o mtime minus duration) instead of end to end.');
+    console.error('                               Implies --thread-per cu unless --thread-per is given');
+    console.error('  --format FORMAT              Output format: firefox (default), chrome (Chrome Trace Event JSON,');
+    console.error('                               for Perfetto and chrome://tracing) or speedscope');
     process.exit(1);
   }
 
-  const input = process.argv[2];
-  const outputFile = process.argv[3];
+  const [input, outputFile] = positional;
+  const jobs = options.jobs !== undefined ? parseInt(options.jobs, 10) : 1;
+
+  if (!(jobs >= 1) || (options.jobs !== undefined && !/^\d+$/.test(options.jobs))) {
+    console.error(`Error: Invalid number of jobs '${options.jobs}'`);
+    process.exit(1);
+  }
+
+  // On a single thread, compilation units that ran in parallel would overlap
+  const threadPer = options['thread-per'] || (options['wall-clock'] ? 'cu' : undefined);
+  if (threadPer !== undefined && threadPer !== 'cu' && threadPer !== 'directory') {
+    console.error(`Error: Invalid --thread-per '${threadPer}' (expected cu or directory)`);
+    process.exit(1);
+  }
+
+  const format = options.format || 'firefox';
+  if (!['firefox', 'chrome', 'speedscope'].includes(format)) {
+    console.error(`Error: Invalid --format '${format}' (expected firefox, chrome or speedscope)`);
+    process.exit(1);
+  }
 
   if (!fs.existsSync(input)) {
     console.error(`Error: Input '${input}' not found`);
@@ -502,6 +1109,13 @@ function main() {
   }
 
   const stat = fs.statSync(input);
+  const directoryOptions = ['thread-per', 'wall-clock'].filter(name => options[name] !== undefined);
+  if (!stat.isDirectory() && directoryOptions.length > 0) {
+    console.error(`Error: --${directoryOptions[0]} needs a directory as input, not a single trace file`);
+    process.exit(1);
+  }
+
+  let allSourceMarkers;
   let profile;
 
   if (stat.isDirectory()) {
@@ -515,36 +1129,57 @@ function main() {
       process.exit(1);
     }
 
-    const allSourceMarkers = [];
-    let processedCount = 0;
-
-    for (const jsonFile of jsonFiles) {
-      try {
-        const traceData = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
-        const sourceMarkers = extractSourceMarkers(traceData);
-
-        if (sourceMarkers.length > 0) {
-          // Add compilation unit name (filename without .json extension) to each marker
-          const compilationUnit = path.basename(jsonFile, '.json');
-          for (const marker of sourceMarkers) {
-            marker.compilationUnit = compilationUnit;
-          }
-
-          allSourceMarkers.push({ file: jsonFile, markers: sourceMarkers });
-          processedCount++;
+    if (jobs > 1) {
+      console.error(`Processing files with ${jobs} jobs...`);
+    }
+    const outcomes = await processTraceFiles(jsonFiles, jobs, finishedCount => {
+      if (finishedCount % 100 === 0) {
+        console.error(`  Processed ${finishedCount}/${jsonFiles.length} files...`);
+      }
+    });
 
-          if (processedCount % 100 === 0) {
-            console.error(`  Processed ${processedCount}/${jsonFiles.length} files...`);
+    // Merge results in trace file order, so the profile is the same whatever the number of jobs
+    allSourceMarkers = [];
+    let processedCount = 0;
+    let mtimeCount = 0;
+
+    for (let idx = 0; idx < jsonFiles.length; idx++) {
+      const { result, error } = outcomes[idx];
+
+      if (error !== undefined) {
+        console.error(`  Warning: Failed to process ${jsonFiles[idx]}: ${error}`);
+      } else if (result.sourceMarkers.length > 0) {
+        const entry = {
+          file: jsonFiles[idx],
+          name: path.relative(input, jsonFiles[idx]).slice(0, -5),
+          markers: result.sourceMarkers,
+          phaseMarkers: result.phaseMarkers,
+          thread: getThreadName(jsonFiles[idx], input, threadPer)
+        };
+
+        if (options['wall-clock']) {
+          const { startTime, source } = getWallClockStart(jsonFiles[idx], result);
+          entry.wallClockStart = startTime;
+          if (source === 'mtime') {
+            mtimeCount++;
           }
         }
-      } catch (err) {
-        console.error(`  Warning: Failed to process ${jsonFile}: ${err.message}`);
+
+        allSourceMarkers.push(entry);
+        processedCount++;
       }
     }
 
     console.error(`Successfully processed ${processedCount} files`);
-    console.error('Merging into single profile...');
-    profile = mergeIntoProfile(allSourceMarkers, 'Firefox Build');
+    if (mtimeCount > 0) {
+      console.error(`  ${mtimeCount} traces have no beginningOfTime, using .o mtimes for their start time`);
+    }
+    if (format === 'firefox') {
+      console.error('Merging into single profile...');
+      profile = mergeIntoProfile(allSourceMarkers, 'Firefox Build', options['wall-clock']);
+    } else {
+      layoutTraces(allSourceMarkers, options['wall-clock']);
+    }
 
   } else {
     // Single file mode
@@ -553,28 +1188,86 @@ function main() {
 
     console.error('Extracting Source markers...');
     const sourceMarkers = extractSourceMarkers(traceData);
-    console.error(`Found ${sourceMarkers.length} source markers`);
+    const phaseMarkers = extractPhaseMarkers(traceData);
+    console.error(`Found ${sourceMarkers.length} source markers and ${phaseMarkers.length} phase markers`);
+
+    if (format === 'firefox') {
+      console.error('Converting to Firefox Profiler format...');
+      profile = convertToProfiler(sourceMarkers, input, phaseMarkers);
+    } else {
+      allSourceMarkers = [{ file: input, name: path.basename(input, '.json'), markers: sourceMarkers, phaseMarkers }];
+    }
+  }
 
-    console.error('Converting to Firefox Profiler format...');
-    profile = convertToProfiler(sourceMarkers, input);
+  if (format !== 'firefox') {
+    const outputName = stat.isDirectory() ? 'Firefox Build' : path.basename(input);
+    let output;
+    if (format === 'chrome') {
+      console.error('Converting to Chrome Trace Event format...');
+      output = convertToChromeTrace(allSourceMarkers, outputName);
+    } else {
+      console.error('Converting to speedscope format...');
+      output = convertToSpeedscope(allSourceMarkers, outputName);
+    }
+    writeOutput(JSON.stringify(output), outputFile, format);
+    return;
+  }
+
+  let sampleCount = 0;
+  let markerCount = 0;
+  let stackCount = 0;
+  const fileNames = new Set();
+  for (const thread of profile.threads) {
+    sampleCount += thread.samples.length;
+    markerCount += thread.markers.length;
+    stackCount += thread.stackTable.length;
+    for (const nameIndex of thread.funcTable.name) {
+      fileNames.add(nameIndex);
+    }
   }
 
   console.error(`Profile contains:`);
-  console.error(`  - ${profile.threads[0].samples.length} samples`);
-  console.error(`  - ${profile.threads[0].funcTable.length} unique files`);
-  console.error(`  - ${profile.threads[0].stackTable.length} unique stacks`);
+  if (profile.threads.length > 1) {
+    console.error(`  - ${profile.threads.length} threads`);
+  }
+  console.error(`  - ${sampleCount} samples`);
+  console.error(`  - ${markerCount} markers`);
+  console.error(`  - ${fileNames.size} unique files`);
+  console.error(`  - ${stackCount} unique stacks`);
 
-  const output = JSON.stringify(profile);
+  writeOutput(JSON.stringify(profile), outputFile, format);
+}
 
-  if (outputFile) {
-    console.error(`Writing to ${outputFile}...`);
-    fs.writeFileSync(outputFile, output);
-    console.error('Done!');
-    console.error('');
+/**
+ * Write the output to a file, with a hint on where to open it, or to stdout
+ * @param {string} output - Serialized output
+ * @param {string} [outputFile] - Output path, or undefined for stdout
+ * @param {string} format - Output format (firefox, chrome or speedscope)
+ */
+function writeOutput(output, outputFile, format) {
+  if (!outputFile) {
+    console.log(output);
+    return;
+  }
+
+  console.error(`Writing to ${outputFile}...`);
+  fs.writeFileSync(outputFile, output);
+  console.error('Done!');
+  console.error('');
+  if (format === 'firefox') {
     console.error(`Open in Firefox Profiler: https://profiler.firefox.com/from-url/${encodeURIComponent('file://' + path.resolve(outputFile))}`);
+  } else if (format === 'chrome') {
+    console.error('Open in Perfetto (https://ui.perfetto.dev) or chrome://tracing');
   } else {
-    console.log(output);
+    console.error('Open in speedscope: https://www.speedscope.app');
   }
 }
 
-main();
+if (isMainThread) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  workerMain();
+}